@@ -10,6 +10,18 @@ function RegionError(message) {
 };
 RegionError.prototype = Object.create ? Object.create(Error.prototype) : new Error;
 
+/**
+ * Interpret the axis of a mirroring, which defaults to 0 if omitted, but which otherwise
+ * must be a finite number.  This is shared by Region1D and Region2D, just like RegionError.
+ */
+function getMirrorAxis(axis) {
+	if (typeof axis === 'undefined') return 0;
+	axis = Number(axis);
+	if (!isFinite(axis))	// Catches NaNs as well as infinities.
+		throw new RegionError("Invalid mirror axis");
+	return axis;
+};
+
 /**
  * Region1D objects are semi-opaque data structures that represent a 1-dimensional
  * set on the number line, described using "spans" of included points.
@@ -49,17 +61,53 @@ RegionError.prototype = Object.create ? Object.create(Error.prototype) : new Err
  *   result = a.xor(b);             // Return the exclusive-or of the two sets, i.e., those ranges
  *                                  //   which exist in one set or the other but not both.
  *   result = a.not();              // Return the logical complement of the set (which may include infinity).
+ *   result = Region1D.unionAll([a, b, c, ...]);       // Return the union/intersection/exclusive-or of many
+ *   result = Region1D.intersectAll([a, b, c, ...]);   //   sets at once, computed in a single sweep rather
+ *   result = Region1D.xorAll([a, b, c, ...]);         //   than by chaining the binary operations.
+ *   result = a.transform(s, o);    // Return a new set with every coordinate scaled by 's' and then offset by 'o'.
+ *                                  //   A negative scale mirrors the set.
+ *   result = a.flipX(axis);        // Return a new set mirrored about the given coordinate (0 if omitted).
+ *   result = a.flipY(axis);        // Return the same set, since a set on the number line has no Y extent to
+ *                                  //   mirror; the axis is still validated, just as for flipX().
+ *   result = a.grow(l, r);         // Return a new set whose spans each extend 'l' further left and 'r' further
+ *                                  //   right, merging any spans that come to touch.
+ *   result = a.shrink(l, r);       // Return a new set whose spans each retreat 'l' from the left and 'r' from
+ *                                  //   the right, removing any spans that vanish.
+ *   result = a.closeGaps(n);       // Return a new set with every gap between spans of length 'n' or less filled in.
+ *   result = a.removeSpansShorterThan(n);  // Return a new set without any of the spans shorter than 'n'.
+ *   result = a.clip(min, max);     // Return the part of the set within [min, max), in O(lg n + k) time.  This is
+ *                                  //   the same set if it already lies entirely within that range.
  *   result = a.isEmpty();          // Return true/false if the set is empty.
  *   result = a.isPointIn(x);       // Return true if the given coordinate is contained within the set.
+ *   result = a.findSpanAt(x);      // Return { min:, max: } of the span containing the coordinate, or null.
+ *   result = a.nextSpanAfter(x);   // Return { min:, max: } of the first span starting after the coordinate, or null.
+ *   result = a.previousSpanBefore(x); // Return { min:, max: } of the last span ending at or before the coordinate, or null.
+ *   result = a.gapAt(x);           // Return { min:, max: } of the gap containing the coordinate (which may reach
+ *                                  //   infinity), or null if the coordinate is within a span.
+ *   result = a.distanceTo(x);      // Return the distance from the coordinate to the nearest span (0 if within one).
+ *                                  //   All five of these run in O(lg n) time.
+ *   result = a.findFirstFit(n);    // Return the earliest start at which a span of length 'n' fits entirely within the
+ *                                  //   set, or null; pass { from:, alignment: } to start no earlier than 'from', and
+ *                                  //   only at multiples of 'alignment'.
+ *   result = a.findBestFit(n);     // Return the start of a span of length 'n' in the smallest span that can hold it,
+ *                                  //   or null; this also accepts { from:, alignment: }.  Both throw if the fit is
+ *                                  //   in a span reaching -Infinity, since that has no earliest start.
  *   result = a.doesIntersect(b);   // Return true if the logical intersection of the two sets is nonempty.  This is
  *                                  //   more efficient than performing "!a.intersect(b).isEmpty()".
  *   result = a.equals(b);          // Return true if the sets are identical.
  *   result = a.getBounds(b);       // Return { min:, max: } of the Region1D.
+ *   result = a.getLength();        // Return the total length of the spans (Infinity if any reaches infinity).
+ *   result = a.getGapLength();     // Return the total length of the gaps between the spans.
+ *   result = a.getLongestSpan();   // Return { min:, max: } of the longest span, or null if there are none.
+ *   result = a.getLongestGap();    // Return { min:, max: } of the longest gap, or null if there are none.
+ *                                  //   All four of these are computed together once, and then cached.
  *   result = a.getAsRects(minY, maxY); // Return an array of { x:, y:, width:, height: } rectangles describing the Region1D.
  *   result = a.getRawSpans();      // Return a raw array of numbers, the same kind that was used to construct the Region1D.
  *
  * All Region1D operations are carefully written to be bounded in both time and
- * space, and all will run in no worse than O(n) or O(n+m) time.
+ * space, and all will run in no worse than O(n) or O(n+m) time, except for
+ * Region1D.unionAll(), intersectAll(), and xorAll(), which sort all of their
+ * coordinates together, and so run in O(n lg n) time.
  */
 const Region1D = (function() {
 	
@@ -203,6 +251,78 @@ const Region1D = (function() {
 		(depth1, depth2) => (depth1 & ~depth2)
 	),
 
+	/**
+	 * Calculate the combination of any number of (sorted!) arrays of 1-D region data, in a
+	 * single sweep over all of their coordinates.  The 'op' is given the number of arrays that
+	 * contain each successive span of the number line, along with the total number of arrays,
+	 * and decides whether that span is included in the result.
+	 *
+	 * This runs in O(n lg n) time, where 'n' is the total number of coordinates.
+	 * Returns a new array that contains the 1-D combination.
+	 */
+	combineManyData = function(arrays, op) {
+
+		// Collect every coordinate from every array, remembering whether it is a
+		// begin (+1) or end (-1) coordinate of its span.
+		const coords = [];
+		for (let i = 0, l = arrays.length; i < l; i++) {
+			const array = arrays[i];
+			for (let j = 0, m = array.length; j < m; j++) {
+				coords.push({ x: array[j], kind: j & 1 ? -1 : +1 });
+			}
+		}
+
+		// Sort them into order.  This can't use subtraction, since infinities don't subtract.
+		coords.sort((a, b) => a.x < b.x ? -1 : a.x > b.x ? +1 : 0);
+
+		// Process all of the coordinates, collecting new spans in the 'result' array.
+		const n = arrays.length;
+		const result = [];
+		let depth = 0, state = 0;
+		for (let i = 0, l = coords.length; i < l; ) {
+
+			// Process all of the coordinates at this same 'x' offset.
+			const x = coords[i].x;
+			while (i < l && coords[i].x === x) {
+				depth += coords[i++].kind;
+			}
+
+			// If we entered/exited a new span, emit a start/end X value.
+			const newState = op(depth, n) ? 1 : 0;
+			if (newState !== state) {
+				result.push(x);
+				state = newState;
+			}
+		}
+
+		return result;
+	},
+
+	/**
+	 * Calculate the union of any number of arrays of 1-D region data.
+	 * Returns a new array that contains the 1-D union.
+	 */
+	unionManyData = arrays => combineManyData(arrays,
+		(depth, n) => depth > 0
+	),
+
+	/**
+	 * Calculate the intersection of any number of arrays of 1-D region data.
+	 * Returns a new array that contains the 1-D intersection.
+	 */
+	intersectManyData = arrays => combineManyData(arrays,
+		(depth, n) => depth === n
+	),
+
+	/**
+	 * Calculate the exclusive-or of any number of arrays of 1-D region data, i.e., those
+	 * ranges which exist in an odd number of the arrays.
+	 * Returns a new array that contains the 1-D exclusive-or.
+	 */
+	xorManyData = arrays => combineManyData(arrays,
+		(depth, n) => depth & 1
+	),
+
 	/**
 	 * Calculate whether the given arrays of 1-D region data intersect, and
 	 * if so, how.  This requires constant memory, but it may take O(n+m) time.
@@ -298,29 +418,156 @@ const Region1D = (function() {
 		}
 		else {
 			// Binary search to find the array index that x is either after or at.
-			let start = 0, end = array.length;
-			let index = 0;
-			while (start < end) {
-				const midpt = ((start + end) / 2) & ~0;
-				const value = array[midpt];
-				if (x === value) {
-					index = midpt;
-					break;
-				}
-				else if (x < value) {
-					end = midpt;
-				}
-				else {
-					index = midpt;
-					start = midpt + 1;
-				}
-			}
+			const index = findIndexAtOrBefore(array, x);
 
 			// 'index' now is the closest value at or before 'x', so we just need to see if
 			// it's an odd or even array index to know if 'x' is inside the span or outside it.
 			return !(index & 1);
 		}
 	},
+
+	/**
+	 * Binary search to find the index of the last value in the Region1D data that is at or
+	 * before 'x', or -1 if 'x' comes before all of them.  An even index means that 'x' is
+	 * inside the span starting there; an odd index means that 'x' is in the gap after the
+	 * span ending there.  This runs in O(lg n) time.
+	 */
+	findIndexAtOrBefore = function(array, x) {
+		let start = 0, end = array.length;
+		while (start < end) {
+			const midpt = ((start + end) / 2) & ~0;
+			if (array[midpt] <= x) start = midpt + 1;
+			else end = midpt;
+		}
+		return start - 1;
+	},
+
+	/**
+	 * Find the span that contains 'x', as { min:, max: }, or null if 'x' isn't in any span.
+	 */
+	findSpanAtData = function(array, x) {
+		const index = findIndexAtOrBefore(array, x);
+		return index >= 0 && !(index & 1) ? { min: array[index], max: array[index+1] } : null;
+	},
+
+	/**
+	 * Find the first span that starts after 'x', as { min:, max: }, or null if there is none.
+	 */
+	findNextSpanData = function(array, x) {
+		const index = findIndexAtOrBefore(array, x);
+		const next = index & 1 ? index + 1 : index + 2;	// -1 is odd too, so this yields 0.
+		return next < array.length ? { min: array[next], max: array[next+1] } : null;
+	},
+
+	/**
+	 * Find the last span that ends at or before 'x', as { min:, max: }, or null if there is none.
+	 */
+	findPreviousSpanData = function(array, x) {
+		const index = findIndexAtOrBefore(array, x);
+		const prev = index & 1 ? index - 1 : index - 2;
+		return prev >= 0 ? { min: array[prev], max: array[prev+1] } : null;
+	},
+
+	/**
+	 * Find the gap that contains 'x', as { min:, max: }, or null if 'x' is in a span.  The gaps
+	 * before the first span and after the last span reach to infinity.
+	 */
+	findGapAtData = function(array, x) {
+		const index = findIndexAtOrBefore(array, x);
+		if (!(index & 1)) return null;
+		return {
+			min: index >= 0 ? array[index] : nInf,
+			max: index + 1 < array.length ? array[index+1] : pInf
+		};
+	},
+
+	/**
+	 * Calculate the distance from 'x' to the nearest point within or on the edge of a span,
+	 * which is zero for any 'x' in a span, and infinite if there are no spans at all.
+	 */
+	distanceToData = function(array, x) {
+		const gap = findGapAtData(array, x);
+		if (!gap) return 0;
+		return Math.min(x - gap.min, gap.max - x);
+	},
+
+	/**
+	 * Interpret the length and the { from:, alignment: } options for the fit functions.  The
+	 * length must be positive; 'from' defaults to -Infinity, and 'alignment' defaults to 0,
+	 * meaning that no alignment is required.
+	 */
+	getFitParameters = function(length, options) {
+		length = Number(length);
+		if (!(length > 0))		// Catches NaNs as well as negatives.
+			throw new regionError("Invalid length");
+
+		const from = options && typeof options.from !== 'undefined' ? Number(options.from) : nInf;
+		if (from !== from)
+			throw new regionError("Invalid starting point");
+
+		const alignment = options && typeof options.alignment !== 'undefined' ? Number(options.alignment) : 0;
+		if (!(alignment >= 0 && alignment < pInf))
+			throw new regionError("Invalid alignment");
+
+		return { length: length, from: from, alignment: alignment };
+	},
+
+	/**
+	 * Find the earliest start within the span at array[index] at which the given length fits,
+	 * starting no earlier than params.from and at a multiple of params.alignment, or return
+	 * null if it doesn't fit in that span at all.
+	 */
+	fitInSpan = function(array, index, params) {
+		let start = array[index] > params.from ? array[index] : params.from;
+		if (params.alignment)
+			start = Math.ceil(start / params.alignment) * params.alignment;
+		return start + params.length <= array[index+1] ? start : null;
+	},
+
+	/**
+	 * Find the earliest start at which the given length fits entirely within one span.  We
+	 * binary-search for the span at params.from, and then check each span after it until one
+	 * fits, so this runs in O(lg n + k) time, where 'k' is the number of spans skipped.
+	 */
+	findFirstFitData = function(array, params) {
+		const index = findIndexAtOrBefore(array, params.from);
+		for (let i = index & 1 ? index + 1 : index, l = array.length; i < l; i += 2) {
+			const start = fitInSpan(array, i, params);
+			if (start !== null) return start;
+		}
+		return null;
+	},
+
+	/**
+	 * Find the start of the given length in the span with the least usable room that can hold
+	 * it (the earliest such span, if several are equally small), which leaves the larger spans
+	 * available for larger requests.  The usable room is measured from the aligned start, so a
+	 * span cut short by params.from counts only the part after it.  This runs in O(n) time.
+	 */
+	findBestFitData = function(array, params) {
+		let best = null, bestLength = pInf;
+		const index = findIndexAtOrBefore(array, params.from);
+		for (let i = index & 1 ? index + 1 : index, l = array.length; i < l; i += 2) {
+			const start = fitInSpan(array, i, params);
+			if (start === null) continue;
+			const usableLength = array[i+1] - start;
+			if (best === null || usableLength < bestLength) {
+				best = start;
+				bestLength = usableLength;
+			}
+		}
+		return best;
+	},
+
+	/**
+	 * Check the start found by one of the fit functions.  A span that reaches -Infinity has no
+	 * earliest start unless { from: } bounds it, so a fit there is an error, not -Infinity.
+	 */
+	verifyFit = function(start) {
+		if (start === nInf)
+			throw new regionError("A fit reaching -Infinity has no earliest start; pass a finite { from: }");
+		return start;
+	},
 	
 	/**
 	 * Calculate a complement of the 1-D (sorted!) region data.
@@ -358,6 +605,8 @@ const Region1D = (function() {
 	
 	/**
 	 * Calculate a new region whose coordinates have all been translated/scaled by the given amounts.
+	 * A negative scale ratio mirrors the region, which reverses the order of its coordinates, so
+	 * in that case we emit them back-to-front to keep them in ascending order.
 	 */
 	transformData = function(array, ratio, delta) {
 		delta = Number(delta);
@@ -368,13 +617,116 @@ const Region1D = (function() {
 			throw new regionError("Invalid scale ratio");
 
 		const newArray = [];
-		for (let i = 0, l = array.length; i < l; i++) {
-			newArray[i] = array[i] * ratio + delta;
+		if (ratio > 0) {
+			for (let i = 0, l = array.length; i < l; i++) {
+				newArray[i] = array[i] * ratio + delta;
+			}
+		}
+		else {
+			for (let i = 0, l = array.length; i < l; i++) {
+				newArray[i] = array[l - 1 - i] * ratio + delta;
+			}
 		}
 		
 		return newArray;
 	},
-	
+
+	/**
+	 * Calculate a new region whose spans have each had their start moved left by 'left' and
+	 * their end moved right by 'right' (so negative amounts shrink the spans instead).  Spans
+	 * that shrink away to nothing are removed, and spans that grow to touch or overlap their
+	 * neighbors are merged with them.  This runs in one linear pass over the data.
+	 */
+	resizeData = function(array, left, right) {
+		left = Number(left);
+		right = Number(right);
+		if (!(nInf < left && left < pInf) || !(nInf < right && right < pInf))	// Catches other NaNs as well as infinities.
+			throw new regionError("Invalid span size delta");
+
+		const newArray = [];
+		for (let i = 0, l = array.length; i < l; i += 2) {
+			const start = array[i] - left, end = array[i+1] + right;
+
+			// If this span shrank away to nothing, drop it.
+			if (start >= end) continue;
+
+			// If this span now touches or overlaps the previous span, merge them.
+			if (newArray.length && start <= newArray[newArray.length - 1]) {
+				if (end > newArray[newArray.length - 1])
+					newArray[newArray.length - 1] = end;
+				continue;
+			}
+
+			newArray.push(start);
+			newArray.push(end);
+		}
+
+		return newArray;
+	},
+
+	/**
+	 * Calculate a new region in which every gap between spans no longer than 'maxGap' has been
+	 * filled in, merging the spans on either side of it.  The (infinite) areas before the first
+	 * span and after the last span are not gaps, and are never filled.  This runs in one linear
+	 * pass over the data.
+	 */
+	closeGapsData = function(array, maxGap) {
+		maxGap = Number(maxGap);
+		if (!(maxGap >= 0))		// Catches NaNs as well as negatives.
+			throw new regionError("Invalid gap length");
+
+		const newArray = [];
+		for (let i = 0, l = array.length; i < l; i += 2) {
+			if (newArray.length && array[i] - newArray[newArray.length - 1] <= maxGap) {
+				newArray[newArray.length - 1] = array[i+1];
+			}
+			else {
+				newArray.push(array[i]);
+				newArray.push(array[i+1]);
+			}
+		}
+
+		return newArray;
+	},
+
+	/**
+	 * Calculate a new region with every span shorter than 'minLength' removed.  This runs in
+	 * one linear pass over the data.
+	 */
+	removeShortSpansData = function(array, minLength) {
+		minLength = Number(minLength);
+		if (!(minLength >= 0))		// Catches NaNs as well as negatives.
+			throw new regionError("Invalid span length");
+
+		const newArray = [];
+		for (let i = 0, l = array.length; i < l; i += 2) {
+			if (array[i+1] - array[i] >= minLength) {
+				newArray.push(array[i]);
+				newArray.push(array[i+1]);
+			}
+		}
+
+		return newArray;
+	},
+
+	/**
+	 * Calculate a new region containing only the parts of the spans that lie within [min, max).
+	 * This binary-searches for the first span that reaches past 'min', and then copies only the
+	 * spans that overlap the range, so it runs in O(lg n + k) time for 'k' overlapping spans.
+	 */
+	clipData = function(array, min, max) {
+		const newArray = [];
+		let index = findIndexAtOrBefore(array, min);
+		if (index & 1) index++;		// In a gap (or before everything), so start at the next span.
+
+		for (let l = array.length; index < l && array[index] < max; index += 2) {
+			newArray.push(array[index] > min ? array[index] : min);
+			newArray.push(array[index+1] < max ? array[index+1] : max);
+		}
+
+		return newArray;
+	},
+
 	/**
 	 * Determine if two arrays of (sorted!) 1-D region data are equivalent.
 	 * Returns true if they are the same, false if they are different.
@@ -434,6 +786,58 @@ const Region1D = (function() {
 		}
 		return hash;
 	},
+
+	/**
+	 * Calculate the measure of the given Region1D of data:  Its total length, the total length
+	 * of the gaps between its spans, and its longest span and gap (the first, if several are
+	 * equally long).  This is computed in a single pass, and is Infinity-aware, in that a span
+	 * reaching infinity has an infinite length; the gaps are always finite.
+	 */
+	makeStatistics = function(array) {
+		let length = 0, gapLength = 0;
+		let longestSpan = null, longestSpanLength = -1;
+		let longestGap = null, longestGapLength = -1;
+
+		for (let i = 0, l = array.length; i < l; i += 2) {
+			const spanLength = array[i+1] - array[i];
+			length += spanLength;
+			if (spanLength > longestSpanLength) {
+				longestSpan = { min: array[i], max: array[i+1] };
+				longestSpanLength = spanLength;
+			}
+
+			if (i > 0) {
+				const gap = array[i] - array[i-1];
+				gapLength += gap;
+				if (gap > longestGapLength) {
+					longestGap = { min: array[i-1], max: array[i] };
+					longestGapLength = gap;
+				}
+			}
+		}
+
+		return {
+			length: length,
+			gapLength: gapLength,
+			longestSpan: longestSpan,
+			longestGap: longestGap
+		};
+	},
+
+	/**
+	 * Get the statistics for the given region data, computing and caching them if they
+	 * haven't been computed yet.
+	 */
+	getStatistics = function(data) {
+		return data.stats || (data.stats = makeStatistics(data.array));
+	},
+
+	/**
+	 * Copy the given { min:, max: } span, if there is one.
+	 */
+	copySpan = function(span) {
+		return span ? { min: span.min, max: span.max } : null;
+	},
 	
 	/**
 	 * Check to ensure that the given object is actually a Region1D, and abort if it is not.
@@ -444,6 +848,22 @@ const Region1D = (function() {
 		}
 	},
 	
+	/**
+	 * Check to ensure that the given object is an array of Region1D instances, and abort if
+	 * it is not.  Returns a new array of their raw span data.
+	 */
+	getArraysOfRegion1Ds = function(regions) {
+		if (!isArray(regions)) {
+			throw new regionError("Expected an array of Region1D instances.");
+		}
+		const arrays = [];
+		for (let i = 0, l = regions.length; i < l; i++) {
+			verifyRegion1DType(regions[i]);
+			arrays.push(getData(regions[i]).array);
+		}
+		return arrays;
+	},
+
 	/**
 	 * Check the given data to make sure that it consists of an array of ordered pairs
 	 * of span start/end points.
@@ -531,7 +951,8 @@ const Region1D = (function() {
 			array: array,
 			min: array.length ? array[0] : pInf,
 			max: array.length ? array[array.length - 1] : nInf,
-			hash: hash
+			hash: hash,
+			stats: null
 		}, privateKey);
 	};
 	
@@ -576,6 +997,39 @@ const Region1D = (function() {
 			const data = getData(this);
 			return new Region1D(transformData(data.array, scale, 0));		// No privateKey forces a data check, since we could have lost precision.
 		},
+		grow: function(left, right) {
+			const data = getData(this);
+			return new Region1D(resizeData(data.array, left, typeof right === 'undefined' ? left : right));		// No privateKey forces a data check, since we could have lost precision.
+		},
+		shrink: function(left, right) {
+			const data = getData(this);
+			return new Region1D(resizeData(data.array, -left, -(typeof right === 'undefined' ? left : right)));		// No privateKey forces a data check, since we could have lost precision.
+		},
+		closeGaps: function(maxGap) {
+			const data = getData(this);
+			return new Region1D(closeGapsData(data.array, maxGap), privateKey);
+		},
+		removeSpansShorterThan: function(minLength) {
+			const data = getData(this);
+			return new Region1D(removeShortSpansData(data.array, minLength), privateKey);
+		},
+		clip: function(min, max) {
+			const data = getData(this);
+			min = Number(min), max = Number(max);
+			if (!(min < max))	// Catches NaNs as well as empty ranges.
+				throw new regionError("Invalid clipping range");
+			if (min <= data.min && data.max <= max)
+				return this;
+			return new Region1D(clipData(data.array, min, max), privateKey);
+		},
+		flipX: function(axis) {
+			const data = getData(this);
+			return new Region1D(transformData(data.array, -1.0, 2 * getMirrorAxis(axis)));		// No privateKey forces a data check, since we could have lost precision.
+		},
+		flipY: function(axis) {
+			getMirrorAxis(axis);
+			return this;
+		},
 		isEmpty: function() {
 			return !getData(this).array.length;
 		},
@@ -593,6 +1047,27 @@ const Region1D = (function() {
 		isPointIn: function(x) {
 			return isPointInData(getData(this).array, Number(x));
 		},
+		findSpanAt: function(x) {
+			return findSpanAtData(getData(this).array, Number(x));
+		},
+		nextSpanAfter: function(x) {
+			return findNextSpanData(getData(this).array, Number(x));
+		},
+		previousSpanBefore: function(x) {
+			return findPreviousSpanData(getData(this).array, Number(x));
+		},
+		gapAt: function(x) {
+			return findGapAtData(getData(this).array, Number(x));
+		},
+		distanceTo: function(x) {
+			return distanceToData(getData(this).array, Number(x));
+		},
+		findFirstFit: function(length, options) {
+			return verifyFit(findFirstFitData(getData(this).array, getFitParameters(length, options)));
+		},
+		findBestFit: function(length, options) {
+			return verifyFit(findBestFitData(getData(this).array, getFitParameters(length, options)));
+		},
 		equals: function(other) {
 			verifyRegion1DType(other);
 			const data = getData(this), otherData = getData(other);
@@ -612,6 +1087,18 @@ const Region1D = (function() {
 			const data = getData(this);
 			return { min: data.min, max: data.max };
 		},
+		getLength: function() {
+			return getStatistics(getData(this)).length;
+		},
+		getGapLength: function() {
+			return getStatistics(getData(this)).gapLength;
+		},
+		getLongestSpan: function() {
+			return copySpan(getStatistics(getData(this)).longestSpan);
+		},
+		getLongestGap: function() {
+			return copySpan(getStatistics(getData(this)).longestGap);
+		},
 		getHashCode: function() {
 			return getData(this).hash;
 		}
@@ -619,10 +1106,28 @@ const Region1D = (function() {
 
 	// Construct a convenient shareable 'empty' instance.
 	Region1D.empty = new Region1D([], privateKey, 0);
+
+	/**
+	 * Static helpers for combining many regions at once, in a single sweep, without constructing
+	 * any of the intermediate regions that chaining the binary operations would produce.
+	 */
+	Region1D.unionAll = function(regions) {
+		return new Region1D(unionManyData(getArraysOfRegion1Ds(regions)), privateKey);
+	};
+	Region1D.intersectAll = function(regions) {
+		const arrays = getArraysOfRegion1Ds(regions);
+		for (let i = 0, l = arrays.length; i < l; i++) {
+			if (!arrays[i].length) return Region1D.empty;
+		}
+		return new Region1D(intersectManyData(arrays), privateKey);
+	};
+	Region1D.xorAll = function(regions) {
+		return new Region1D(xorManyData(getArraysOfRegion1Ds(regions)), privateKey);
+	};
 		
 	return Region1D;
 
 })();
 
 export default Region1D;
-export { RegionError, Region1D };
+export { RegionError, getMirrorAxis, Region1D };
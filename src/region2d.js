@@ -1,4 +1,4 @@
-import { Region1D, RegionError } from './region1d';
+import { Region1D, RegionError, getMirrorAxis } from './region1d';
 
 /**
  * Region2D objects are semi-opaque data structures that represent a 2-dimensional
@@ -15,20 +15,115 @@ import { Region1D, RegionError } from './region1d';
  *   result = a.xor(b);             // Return the exclusive-or of the two sets, i.e., those ranges
  *                                  //   which exist in one set or the other but not both.
  *   result = a.not();              // Return the logical complement of the set (which may include infinity).
+ *   result = Region2D.unionAll([a, b, c, ...]);       // Return the union/intersection/exclusive-or of many
+ *   result = Region2D.intersectAll([a, b, c, ...]);   //   sets at once, computed in a single sweep rather
+ *   result = Region2D.xorAll([a, b, c, ...]);         //   than by chaining the binary operations.
+ *   result = a.transform(sx, sy, ox, oy); // Return a new set scaled by (sx, sy) and then offset by (ox, oy).
+ *                                  //   Negative scales mirror the set.
+ *   result = a.flipX(axis);        // Return a new set mirrored left-to-right about the vertical line x = axis.
+ *   result = a.flipY(axis);        // Return a new set mirrored top-to-bottom about the horizontal line y = axis.
+ *   result = a.transpose();        // Return a new set with the X and Y coordinates of every point swapped.
+ *   result = a.rotate(deg, x, y);  // Return a new set rotated clockwise by a multiple of 90 degrees about (x, y).
+ *   result = a.inflate(dx, dy);    // Return a new set grown outward by dx horizontally and dy vertically (the
+ *                                  //   Minkowski sum with a rectangle); dx may also be { left:, top:, right:, bottom: }.
+ *   result = a.deflate(dx, dy);    // Return a new set shrunk inward by dx horizontally and dy vertically (the
+ *                                  //   Minkowski difference with a rectangle); dx may also be an object, as above.
+ *   result = a.findPlacements(w, h); // Return a new set of every top-left position at which a w x h rectangle fits
+ *                                  //   within this set (the erosion of the set by the rectangle).  Positions on
+ *                                  //   the result's right and bottom edges fit too, exactly flush; but where the
+ *                                  //   rectangle only fits with no room to move, there's no area to return.
+ *   result = a.findFirstPlacement(w, h); // Return the { x:, y: } of the topmost, then leftmost, position at which a
+ *                                  //   w x h rectangle fits (even with no room to move), or null.  Pass
+ *                                  //   { order: 'column-major' } to prefer the leftmost position instead, or
+ *                                  //   { order: 'nearest', near: { x:, y: } } to prefer the nearest one.  This
+ *                                  //   throws for an infinite set, which has no first position.
+ *   result = a.packRects(sizes);   // Pack rectangles of the given [{ width:, height: }, ...] sizes into this set, one
+ *                                  //   at a time, returning { placements: [{ x:, y:, width:, height:, rotated: }, ...],
+ *                                  //   leftover: }, with a null placement for any that didn't fit.  Pass { heuristic:
+ *                                  //   'best-area' | 'bottom-left' | 'best-short-side', allowRotation: true } to adjust.
+ *   result = a.approximate({ maxRects: n }); // Return { region:, addedArea: }, where 'region' is a superset of this
+ *                                  //   set made of no more than n rectangles, built by greedily merging the
+ *                                  //   spans and rows that add the least area.  Pass { maxWastedArea: } to limit
+ *                                  //   how much area may be added, even if that leaves more than n rectangles.
+ *                                  //   Without { maxRects: }, this merges as far as { maxWastedArea: } allows.
  *   result = a.isEmpty();          // Return true/false if the set is empty.
  *   result = a.isFinite();         // Return true/false if the set is finite (doesn't stretch to infinity).
  *   result = a.isInfinite();       // Return true/false if the set stretches to infinity in any direction.
  *   result = a.isRectangular();    // Return true/false if the set can be described by a single rectangle.
  *   result = a.isPointIn(x, y);    // Return true if the given point is contained within the set.
+ *   result = a.distanceTo(x, y);   // Return the distance from the given point to the nearest point of the set (0 if
+ *                                  //   it's inside, Infinity if the set is empty).  Pass { metric: 'chebyshev' }
+ *                                  //   or { metric: 'manhattan' } to measure other than Euclidean distance.
+ *   result = a.nearestPoint(x, y); // Return the { x:, y: } within or on the edge of the set that is nearest to the
+ *                                  //   given point, or null if the set is empty; this also accepts { metric: }.
+ *                                  //   For both, the point may be infinite, but it must not be NaN.
  *   result = a.doesIntersect(b);   // Return true if the logical intersection of the two sets is nonempty.  This is
  *                                  //   more efficient than performing "!a.intersect(b).isEmpty()".
+ *   result = a.relate(b);          // Return '', 'intersect', 'a-contain-b', 'b-contain-a', or 'equal', describing
+ *                                  //   how the two sets overlap, without constructing their intersection.
+ *   result = a.unionRect(r);       // Return a new set that also includes the given rectangle.
+ *   result = a.subtractRect(r);    // Return a new set that excludes the given rectangle.
+ *   result = a.intersectsRect(r);  // Return true if any part of the given rectangle is within the set.
+ *   result = a.containsRect(r);    // Return true if all of the given rectangle is within the set.
+ *                                  //   All four of the *Rect() methods touch only the bands that overlap
+ *                                  //   the rectangle, and do not construct a temporary region for it.
+ *                                  //   unionRect() and subtractRect() still copy the array of bands and
+ *                                  //   recollect its metadata, which is O(n) in the number of bands.
+ *   result = a.clip(r);            // Return the part of the set within the given rectangle, in O(lg n + k) time.
+ *                                  //   Like a.intersect(), but it only visits the k rectangles that overlap r.
+ *   result = a.getComponents();    // Return an array of the separate connected pieces of the set, as Region2Ds.
+ *   result = a.getComponentCount(); // Return the number of separate connected pieces of the set.
+ *   result = a.isConnected();      // Return true if the set consists of exactly one connected piece.
+ *                                  //   All three accept { connectivity: 4 } (pieces must share an edge; the
+ *                                  //   default) or { connectivity: 8 } (pieces may touch only at a corner).
+ *   result = a.getHoles();         // Return a new set of every bounded area enclosed by this set.
+ *   result = a.fillHoles();        // Return a new set with its holes filled in; pass { maxArea: } to fill only
+ *                                  //   the small ones.  Both also accept { connectivity: }, as above.
  *   result = a.equals(b);          // Return true if the sets are identical.
  *   result = a.getCount();         // Return the number of nonoverlapping rectangles that would describe this Region2D.
+ *   result = a.getArea();          // Return the total area covered by the Region2D (Infinity if it's infinite).
+ *   result = a.getPerimeter();     // Return the total length of the Region2D's boundary, including its holes.
+ *   result = a.getCentroid();      // Return the { x:, y: } center of mass of the Region2D, or null if it's
+ *                                  //   empty or infinite.
+ *   result = a.getSecondMoments(); // Return the { xx:, yy:, xy: } second moments of area about the centroid.
+ *                                  //   All four of these are computed once from the bands and then cached.
  *   result = a.getRects();			// Return an array of nonoverlapping rectangles describing the Region2D.
+ *                                  //   Pass { mode: 'merged-vertical' } to merge identical spans in touching
+ *                                  //   bands, or { mode: 'minimal' } to get the fewest possible rectangles.
+ *   result = a.getMaximalRectangles(); // Return an array of every rectangle within the Region2D that can't be extended
+ *                                  //   any farther in any direction.  These may overlap each other.
+ *   result = a.getLargestRectangle(); // Return the largest rectangle within the Region2D, or null.  Pass
+ *                                  //   { by: 'width' } or { by: 'height' } to measure other than by area.
  *   result = a.getBounds(b);       // Return a boundary rectangle containing all of the points of the Region2D.
+ *   result = a.getPath();          // Return an array of windings (arrays of points) that outline the Region2D.
+ *                                  //   Pieces touching only at a corner become separate windings, or pass
+ *                                  //   { connectivity: 8 } to trace them as one winding pinched at that corner.
+ *   result = a.getPolygons();      // Return an array of { outer:, holes: } polygons that outline the Region2D,
+ *                                  //   with clockwise outers and counter-clockwise holes.  This is the same
+ *                                  //   as a.getPath({ nested: true }), and also accepts { connectivity: }.
  *
  * All Region2D operations are carefully written to be bounded in both time and
- * space, and all will run in no worse than O(n) or O(n+m) time.
+ * space, and all but the following will run in no worse than O(n) or O(n+m) time:
+ *
+ *   - Region2D.fromRects() runs in O(n lg n) time, since each rectangle takes part in O(lg n) unions.
+ *   - Region2D.unionAll(), intersectAll(), and xorAll() run in O(r lg k) time for r bands in k
+ *     regions, plus the time to combine the Region1Ds of each resulting band.
+ *   - transpose(), and rotate() by an odd number of quarter-turns, run in O(c*n) time for c
+ *     distinct X coordinates, which is proportional to the worst-case size of the result.
+ *   - inflate() and deflate() run in O(n*k) time, where k is the number of bands that end up
+ *     overlapping each other once they're stretched by the rectangle's height.
+ *   - getPolygons() and getPath({ nested: true }) run in O(n + h*p) time for h holes and p points
+ *     in all of the outer boundaries, since each hole is tested against every outer boundary.
+ *   - findPlacements() is a deflate(), and findFirstPlacement() runs in O(n*k) time, where k is
+ *     the number of bands that the rectangle can span.
+ *   - packRects() runs in O(s*n*k) time for s sizes with the 'bottom-left' heuristic; the
+ *     best-fit heuristics also measure the free space around each of the b candidate positions,
+ *     for another O(s*b*n lg n) time.
+ *   - getMaximalRectangles() and getLargestRectangle() run in O(n*c) time for c distinct X
+ *     coordinates, since each band is swept as a histogram across every column.
+ *   - getRects({ mode: 'minimal' }) runs in O(r*n + c^3) time for r reflex vertices and c chords
+ *     between them, since it finds a maximum bipartite matching over the chords that intersect.
+ *   - approximate() runs in O(k*n) time for k merges, since each merge searches every band.
  *
  * ------------------------------------------------------------------------------------------------
  * 
@@ -88,6 +183,14 @@ const Region2D = (function() {
 		return Array.isArray ? Array.isArray(o) : o instanceof Array;
 	},
 
+	/**
+	 * Compare two numbers for sorting.  This can't use subtraction, since infinities don't
+	 * subtract.
+	 */
+	compareNumbers = function(a, b) {
+		return a < b ? -1 : a > b ? +1 : 0;
+	},
+
 	//---------------------------------------------------------------------------------------------
 	// Region core internals.
 
@@ -290,6 +393,109 @@ const Region2D = (function() {
 		};
 	},
 
+	/**
+	 * Add the given { y:, index: } entry to the given binary min-heap of such entries, ordered
+	 * by their 'y' values.  This runs in O(lg n) time.
+	 */
+	heapPush = function(heap, entry) {
+		let i = heap.length;
+		heap.push(entry);
+		while (i > 0) {
+			const parent = (i - 1) >> 1;
+			if (heap[parent].y <= entry.y) break;
+			heap[i] = heap[parent];
+			i = parent;
+		}
+		heap[i] = entry;
+	},
+
+	/**
+	 * Remove and return the entry with the smallest 'y' from the given binary min-heap.  This
+	 * runs in O(lg n) time.
+	 */
+	heapPop = function(heap) {
+		const top = heap[0], last = heap.pop();
+		if (heap.length) {
+			let i = 0;
+			for (;;) {
+				let child = i * 2 + 1;
+				if (child >= heap.length) break;
+				if (child + 1 < heap.length && heap[child + 1].y < heap[child].y) child++;
+				if (heap[child].y >= last.y) break;
+				heap[i] = heap[child];
+				i = child;
+			}
+			heap[i] = last;
+		}
+		return top;
+	},
+
+	/**
+	 * Make a 'generator' function that, upon each invocation, will return the next set of
+	 * rows that need to be combined from any number of regions, as the form { rows:, minY:, maxY: },
+	 * where 'rows' is an array of the Region1Ds of just those regions that have a row there
+	 * (in no particular order), and minY and maxY should be the Y coordinates of the resulting
+	 * combined row.  This is the k-way generalization of makeRowPairGenerator().
+	 *
+	 * This is a true k-way merge:  The regions whose next rows haven't started yet wait in one
+	 * heap, ordered by the tops of those rows, and the regions whose rows cover the current band
+	 * wait in another, ordered by the bottoms of those rows.  Each row enters and leaves each heap
+	 * once, so over all invocations this runs in O(r lg k) time for r rows in k regions, plus the
+	 * time to collect the rows of each band.  Bands that no region covers are skipped entirely.
+	 *
+	 * On each separate invocation, the generator will return a new set object until it
+	 * runs out of source rows, and then it will return null.
+	 */
+	makeRowSetGenerator = function(arrays) {
+		const rowIndexes = [], pending = [], active = [];
+		for (let i = 0, l = arrays.length; i < l; i++) {
+			rowIndexes.push(0);
+			if (arrays[i].length)
+				heapPush(pending, { y: arrays[i][0].minY, index: i });
+		}
+		let y = nInf;
+
+		return function() {
+
+			// Retire the rows that ended at the last band's bottom, queueing up their successors.
+			while (active.length && active[0].y <= y) {
+				const i = heapPop(active).index;
+				if (++rowIndexes[i] < arrays[i].length)
+					heapPush(pending, { y: arrays[i][rowIndexes[i]].minY, index: i });
+			}
+
+			// If nothing covers this spot, skip down to the next row that starts.
+			if (!active.length) {
+				if (!pending.length) return null;
+				if (pending[0].y > y) y = pending[0].y;
+			}
+
+			// Activate every row that starts here.
+			while (pending.length && pending[0].y <= y) {
+				const i = heapPop(pending).index;
+				heapPush(active, { y: arrays[i][rowIndexes[i]].maxY, index: i });
+			}
+
+			// This band ends at the first bottom of an active row, or the next top of a new row.
+			const minY = y;
+			let maxY = active[0].y;
+			if (pending.length && pending[0].y < maxY) maxY = pending[0].y;
+
+			const rows = [];
+			for (let j = 0, l = active.length; j < l; j++) {
+				const i = active[j].index;
+				rows.push(arrays[i][rowIndexes[i]].region);
+			}
+
+			y = maxY;
+
+			return {
+				rows: rows,
+				minY: minY, maxY: maxY
+			};
+		};
+	},
+
 	/**
 	 * Combine two regions together, returning a new region that is the result of having
 	 * combined them, using the provided rowTransform to mutate their individual rows.
@@ -366,7 +572,8 @@ const Region2D = (function() {
 			minY: result.length ? result[0].minY : pInf,
 			maxX: maxX,
 			maxY: result.length ? result[result.length-1].maxY : nInf,
-			hash: hash
+			hash: hash,
+			measures: null
 		};
 		return newRegionData;
 	},
@@ -395,6 +602,98 @@ const Region2D = (function() {
 	 */
 	subtractData = (array1, array2) => combineData(array1, array2, (r1, r2) => r1.subtract(r2)),
 
+	/**
+	 * Calculate the complement of the given array of 2-D region data.  This is done in a single
+	 * linear pass, without any pairwise band merging:  Every gap between bands (including the
+	 * gaps above the first band and below the last band) becomes an infinite row, and every
+	 * existing band is complemented using Region1D#not().
+	 *
+	 * Since no two adjacent bands may be identical, their complements can't be identical either,
+	 * and a gap row is never adjacent to another gap row, so the result needs no coalescing.
+	 * Returns new region data that contains the 2-D complement.
+	 */
+	notData = function(array) {
+		const infiniteRow = getData(infinite).array[0].region;
+		const result = [];
+		let lastY = nInf;
+
+		for (let i = 0, l = array.length; i < l; i++) {
+			const row = array[i];
+
+			// Fill in the gap above this band, if there is one.
+			if (row.minY > lastY) {
+				result.push({ region: infiniteRow, minY: lastY, maxY: row.minY });
+			}
+
+			// Complement the band itself, discarding it if it covered the entire row.
+			const region = row.region.not();
+			if (!region.isEmpty()) {
+				result.push({ region: region, minY: row.minY, maxY: row.maxY });
+			}
+
+			lastY = row.maxY;
+		}
+
+		// Fill in the gap below the last band, if there is one.
+		if (lastY < pInf) {
+			result.push({ region: infiniteRow, minY: lastY, maxY: pInf });
+		}
+
+		return makeDataFromValidRows(result);
+	},
+
+	/**
+	 * Combine any number of regions together in a single k-way sweep, returning a new region
+	 * that is the result of having combined them, using the provided rowTransform to combine
+	 * each set of their individual rows.  The rowTransform receives only the rows that are
+	 * present in each band, along with the total number of regions.  Like combineData(), this
+	 * discards empty rows and coalesces identical adjacent rows, so the result is always a
+	 * valid region if the input regions are valid regions.
+	 */
+	combineManyData = function(arrays, rowTransform) {
+
+		// Make the generator that spits out sets of rows to combine.
+		const rowSetGenerator = makeRowSetGenerator(arrays);
+
+		// Spin over all the sets of input rows, and combine them together to produce
+		// the output region, using the 1-dimensional version of the transform.
+		const result = [];
+		for (let set; set = rowSetGenerator(); ) {
+			appendRow(result, rowTransform(set.rows, arrays.length), set.minY, set.maxY);
+		}
+
+		return makeDataFromValidRows(result);
+	},
+
+	/**
+	 * Calculate the union of any number of arrays of 2-D region data.
+	 * Returns new region data that contains the 2-D union.
+	 */
+	unionManyData = arrays => combineManyData(arrays,
+		rows => rows.length === 1 ? rows[0] : Region1D.unionAll(rows)),
+
+	/**
+	 * Calculate the intersection of any number of arrays of 2-D region data.
+	 * Returns new region data that contains the 2-D intersection.
+	 */
+	intersectManyData = function(arrays) {
+		// If any of them is empty, so is the intersection.
+		for (let i = 0, l = arrays.length; i < l; i++) {
+			if (!arrays[i].length) return makeEmptyRegionData();
+		}
+		// A band that's missing any region's row is empty in the intersection.
+		return combineManyData(arrays,
+			(rows, count) => rows.length < count ? Region1D.empty : Region1D.intersectAll(rows));
+	},
+
+	/**
+	 * Calculate the exclusive-or of any number of arrays of 2-D region data, i.e., those
+	 * points which exist in an odd number of the regions.
+	 * Returns new region data that contains the 2-D exclusive-or.
+	 */
+	xorManyData = arrays => combineManyData(arrays,
+		rows => rows.length === 1 ? rows[0] : Region1D.xorAll(rows)),
+
 	//---------------------------------------------------------------------------------------------
 	// Support for generation of paths/windings.
 
@@ -524,18 +823,31 @@ const Region2D = (function() {
 
 	/**
 	 * Make the windings, clockwise polygons that are formed from adjacent edges.
+	 *
+	 * The connectivity (4 or 8) decides what happens at a vertex where two pieces of the region
+	 * touch only at their corners:  With 4-connectivity, the pieces are traced as separate
+	 * windings; with 8-connectivity, they are traced as a single winding pinched at that vertex.
 	 */
-	makeWindings = function(edges, table) {
+	makeWindings = function(edges, table, connectivity) {
 		// Algorithm:
 		//
 		// Starting with a top edge, follow its endpoints clockwise until we reach that same
-		// start edge.  Wherever duplicate points are found, prefer following top->right,
-		// right->bottom, bottom->left, and left->top.  Remove each edge from the source set
-		// as we follow it.  When we reach the start edge, if there are edges left, repeat the
-		// same whole algorithm until no edges are left.
+		// start edge.  Most vertices have exactly one edge leaving them, but a vertex where
+		// two corners touch has two, and there we always turn the same way:  To the right
+		// (top->right, right->bottom, bottom->left, left->top) to keep the corners apart, or
+		// to the left (top->left, right->top, bottom->right, left->bottom) to join them.
+		// Every edge thus has exactly one successor, so the edges form disjoint cycles, and
+		// we simply walk each cycle until we arrive back at its start edge.  Remove each edge
+		// from the source set as we follow it, and if there are edges left when we reach the
+		// start edge, repeat the same whole algorithm until no edges are left.
 
 		const allWindings = [];
 
+		// Which kind of edge to follow at a vertex where two corners touch.
+		const turns = connectivity === 8
+			? { top: 'left', right: 'top', bottom: 'right', left: 'bottom' }
+			: { top: 'right', right: 'bottom', bottom: 'left', left: 'top' };
+
 		// This will be the linked-list of all unconsumed edges.
 		let firstEdge = edges[0], lastEdge = edges[edges.length - 1];
 
@@ -552,41 +864,19 @@ const Region2D = (function() {
 			edge.used = true;
 		};
 
-		// Find the next edge to follow given a set of possible matches.
-		const findBestPossibleEdge = function(edge, possibleEdges) {
+		// Find the edge that follows the given edge, which is always uniquely determined.
+		const findNextEdge = function(edge) {
+			const possibleEdges = table[edge.key2];
 
-			// Easy degenerate case:  If there's only one edge, take it.
-			if (possibleEdges.length === 1 && !possibleEdges.used)
+			// Easy common case:  If there's only one edge, take it.
+			if (possibleEdges.length === 1)
 				return possibleEdges[0];
 
-			// First, prefer following top->right, right->bottom, bottom->left, and left->top,
-			// if there's a matching edge.
-			for (let i = 0, l = possibleEdges.length; i < l; i++) {
-				if (possibleEdges[i].used) continue;
-				switch (edge.kind) {
-					case 'top':
-						if (possibleEdges[i].kind === 'right')
-							return possibleEdges[i];
-						break;
-					case 'right':
-						if (possibleEdges[i].kind === 'bottom')
-							return possibleEdges[i];
-						break;
-					case 'bottom':
-						if (possibleEdges[i].kind === 'left')
-							return possibleEdges[i];
-						break;
-					case 'left':
-						if (possibleEdges[i].kind === 'top')
-							return possibleEdges[i];
-						break;
-				}
-			}
-
-			// We can't follow our preferred direction, so just take whatever's available.
+			// Two corners touch here, so turn the way the connectivity requires.
+			const kind = turns[edge.kind];
 			for (let i = 0, l = possibleEdges.length; i < l; i++) {
-				if (possibleEdges[i].used) continue;
-				return possibleEdges[i];
+				if (possibleEdges[i].kind === kind)
+					return possibleEdges[i];
 			}
 
 			// Shouldn't get here.
@@ -612,16 +902,17 @@ const Region2D = (function() {
 			winding.push({ x: startEdge.x1, y: startEdge.y1 });
 
 			// Now walk forward from the current edge, following its end point to successive
-			// start points until we reach the startEdge's start point.
+			// start points until we arrive back at the startEdge.  A pinched winding may pass
+			// through the startEdge's start point more than once, so we compare edges, not points.
 			let currentEdge = startEdge;
 			let prevX = startEdge.x1, prevPrevX = null;
-			while (currentEdge.key2 !== startEdge.key1) {
-
-				// First, find the set of possible edges to follow, which should be nonempty.
-				const possibleEdges = table[currentEdge.key2];
+			for (;;) {
 
-				// Move to the edge that is the best one to follow.
-				currentEdge = findBestPossibleEdge(currentEdge, possibleEdges);
+				// Move to the edge that follows this one, stopping if the winding is closed.
+				currentEdge = findNextEdge(currentEdge);
+				if (currentEdge === startEdge) break;
+				if (currentEdge.used)
+					throw new regionError("Edge generation failure.");
 
 				// Consume it, now that we found it.
 				consumeEdge(currentEdge);
@@ -660,213 +951,864 @@ const Region2D = (function() {
 	 *         [{x:1, y:2}, {x:3, y:2}, {x:3, y:6}, {x:1, y:6}],    // Polygon 1
 	 *         [{x:7, y:5}, {x:8, y:5}, {x:8, y:8}, {x:10, y:8}, {x:10, y:9}, {x:7, y:9}]    // Polygon 2
 	 *     ]
+	 * Where pieces of the region touch only at a corner, the connectivity (4 or 8) decides whether
+	 * they become separate windings or one winding pinched at that corner.
 	 */
-	makePath = function(array) {
+	makePath = function(array, connectivity) {
 		if (!array.length) return [];
 		const edges = generateEdges(array);
 		const table = makeEdgeTable(edges);
-		const windings = makeWindings(edges, table);
+		const windings = makeWindings(edges, table, connectivity);
 		return windings;
 	},
 	
-	//---------------------------------------------------------------------------------------------
-	// Region miscellaneous support.
-	
 	/**
-	 * Calculate a new region whose coordinates have all been translated/scaled by the given amounts.
+	 * Determine whether the given winding is an outer boundary (clockwise) or a hole boundary
+	 * (counter-clockwise).  Rather than computing a signed area, which doesn't work when the
+	 * region reaches infinity, we look at the winding's topmost-leftmost point:  An outer
+	 * boundary always leaves that point heading right along a top edge, and a hole boundary
+	 * always leaves it heading down along the left side of the hole.
 	 */
-	transformData = function(array, ratioX, ratioY, deltaX, deltaY) {
-		deltaX = Number(deltaX);
-		deltaY = Number(deltaY);
-		if (!(nInf < deltaX && deltaX < pInf) || !(nInf < deltaY && deltaY < pInf))	// Catches other NaNs as well as infinities.
-			throw new regionError("Invalid translation delta");
-		ratioX = Number(ratioX);
-		ratioY = Number(ratioY);
-		if (!(nInf < ratioX && ratioX < pInf) || ratioX === 0
-			|| !(nInf < ratioY && ratioY < pInf) || ratioY === 0)		// Catches other NaNs as well as infinities.
-			throw new regionError("Invalid scale ratio");
-
-		const newArray = [];
-		for (let i = 0, l = array.length; i < l; i++) {
-			const row = array[i]
-			newArray[i] = {
-				region: row.region.transform(ratioX, deltaX),
-				minY: row.minY * ratioY + deltaY,
-				maxY: row.maxY * ratioY + deltaY
-			};
+	isOuterWinding = function(winding) {
+		let best = 0;
+		for (let i = 1, l = winding.length; i < l; i++) {
+			const point = winding[i], bestPoint = winding[best];
+			if (point.y < bestPoint.y || (point.y === bestPoint.y && point.x < bestPoint.x)) best = i;
 		}
-		
-		return newArray;
+		const next = winding[(best + 1) % winding.length];
+		return next.y === winding[best].y;
 	},
 
 	/**
-	 * Determine if the bounding rectangles of each region actually overlap.  If they
-	 * don't overlap, we can often treat region operations as special degenerate cases.
-	 * This runs in O(1) time.
+	 * Calculate the area enclosed by the given (outer) winding, which is infinite if the
+	 * winding reaches infinity anywhere.
 	 */
-	doBoundsOverlap = function(data1, data2) {
-		return !(data1.minX > data2.maxX
-			|| data1.maxX < data2.minX
-			|| data1.minY > data2.maxY
-			|| data1.maxY < data2.minY);
+	getWindingArea = function(winding) {
+		let area = 0;
+		for (let i = 0, l = winding.length; i < l; i++) {
+			const p1 = winding[i], p2 = winding[(i + 1) % l];
+			if (!(nInf < p1.x && p1.x < pInf && nInf < p1.y && p1.y < pInf)) return pInf;
+			area += p1.x * p2.y - p2.x * p1.y;
+		}
+		return Math.abs(area) / 2;
 	},
-	
-	cannotConstructMessage = "Cannot construct a Region2D from ",
-	invalidRectangleDataMessage = cannotConstructMessage + "invalid rectangle data.",
-	invalidRectangleSizeMessage = cannotConstructMessage + "a rectangle of zero or negative size.",
 
 	/**
-	 * Make region data from a single rectangle, in one of the four major rectangle forms:
-	 *     - An object with { x:, y:, width:, height: } properties.
-	 *     - An object with { left:, top:, right:, bottom: } properties.
-	 *     - An array with [x, y, width, height] values.
-	 *     - A DOM element's bounding box.
-	 * 
-	 * This is fairly straightforward, and runs in O(1) time.
+	 * Determine whether the given point lies inside the given winding, by counting how many of
+	 * the winding's vertical edges a ray cast leftward from the point crosses.  Each edge's
+	 * Y range is treated as half-open, so rays through vertices are counted consistently.
 	 */
-	makeRegionDataFromOneRect = function(rect) {
-
-		// Calculate the actual rectangle coordinates from whatever object was passed in.
-		let minX, maxX, minY, maxY;
-		if (typeof(HTMLElement) !== 'undefined' && rect instanceof HTMLElement) {
-			var clientRect = rect.getBoundingClientRect();
-			minX = window.scrollX + clientRect.left, minY = window.scrollY + clientRect.top;
-			maxX = window.scrollX + clientRect.right, maxY = window.scrollY + clientRect.bottom;
+	isPointInWinding = function(winding, x, y) {
+		let inside = false;
+		for (let i = 0, l = winding.length; i < l; i++) {
+			const p1 = winding[i], p2 = winding[(i + 1) % l];
+			if (p1.x !== p2.x || p1.x >= x) continue;
+			const minY = Math.min(p1.y, p2.y), maxY = Math.max(p1.y, p2.y);
+			if (y >= minY && y < maxY) inside = !inside;
 		}
-		else if (isArray(rect)) {
-			if (rect.length !== 4) {
-				throw new regionError(invalidRectangleDataMessage);
+		return inside;
+	},
+
+	/**
+	 * Calculate the nested polygon structure of this region, as an array of objects of the form
+	 * { outer: [points], holes: [[points], [points], ...] }, where each outer boundary is clockwise
+	 * and each hole boundary is counter-clockwise (as seen on a screen, where Y increases downward).
+	 *
+	 * The windings come from makePath(); each hole is then assigned to the innermost outer boundary
+	 * that contains it, which is the smallest of the outer boundaries that contain a point just
+	 * inside the hole.  Each hole is tested against every outer boundary, so the assignment runs
+	 * in O(h*p) time for 'h' holes and 'p' points in all of the outer boundaries.
+	 */
+	makePolygons = function(array, connectivity) {
+		const windings = makePath(array, connectivity);
+
+		// Split the windings into outers and holes.
+		const polygons = [], areas = [], holes = [];
+		for (let i = 0, l = windings.length; i < l; i++) {
+			if (isOuterWinding(windings[i])) {
+				polygons.push({ outer: windings[i], holes: [] });
+				areas.push(getWindingArea(windings[i]));
 			}
-			minX = Number(rect[0]), minY = Number(rect[1]);
-			maxX = Number(rect[2]), maxY = Number(rect[3]);
-		}
-		else if ("left" in rect) {
-			minX = Number(rect.left), minY = Number(rect.top);
-			maxX = Number(rect.right), maxY = Number(rect.bottom);
-		}
-		else if ("x" in rect) {
-			minX = Number(rect.x), minY = Number(rect.y);
-			maxX = minX + Number(rect.width), maxY = minY + Number(rect.height);
-		}
-		else {
-			throw new regionError(invalidRectangleDataMessage);
+			else holes.push(windings[i]);
 		}
 
-		// Validate the rectangle data.
-		if (maxX <= minX || maxY <= minY) {
-			throw new regionError(invalidRectangleSizeMessage);
-		}
+		// Assign each hole to the innermost outer that contains it.
+		for (let i = 0, l = holes.length; i < l; i++) {
+			const hole = holes[i];
 
-		// Construct the new row containing that rectangle.
-		const region1D = new Region1D([minX, maxX]);
+			// Pick a point halfway down the hole's leftmost edge:  This is the edge that
+			// leaves the hole's topmost-leftmost point, heading down.
+			let best = 0;
+			for (let j = 1, m = hole.length; j < m; j++) {
+				if (hole[j].y < hole[best].y || (hole[j].y === hole[best].y && hole[j].x < hole[best].x)) best = j;
+			}
+			const x = hole[best].x, y = (hole[best].y + hole[(best + 1) % hole.length].y) / 2;
 
-		// Now make the actual region data for this single-rect region.
-		const data = {
-			array: [ {
-				region: region1D,
-				minY: minY,
-				maxY: maxY
-			} ],
-			count: 1,
-			minX: minX,
-			minY: minY,
-			maxX: maxX,
-			maxY: maxY,
-			hash: region1D.getHashCode()
-		};
+			let owner = -1;
+			for (let j = 0, m = polygons.length; j < m; j++) {
+				if ((owner < 0 || areas[j] < areas[owner]) && isPointInWinding(polygons[j].outer, x, y))
+					owner = j;
+			}
 
-		return data;
+			// Every hole must lie within some outer boundary, but just in case floating-point
+			// has conspired against us, fall back on the first outer rather than losing the hole.
+			polygons[owner >= 0 ? owner : 0].holes.push(hole);
+		}
+
+		return polygons;
 	},
 
+	//---------------------------------------------------------------------------------------------
+	// Support for connected components.
+
 	/**
-	 * Construct an empty region consisting of no rectangles at all.
+	 * Interpret a { connectivity: } option, which must be either 4 (pieces are connected only
+	 * if they share an edge) or 8 (pieces are also connected if they only touch at a corner).
 	 */
-	makeEmptyRegionData = function() {
-		return {
-			array: [ ],
-			count: 0,
-			minX: pInf,
-			minY: pInf,
-			maxX: nInf,
-			maxY: nInf,
-			hash: 0
-		};
+	getConnectivity = function(options) {
+		const connectivity = options && typeof options.connectivity !== 'undefined'
+			? Number(options.connectivity) : 4;
+		if (connectivity !== 4 && connectivity !== 8)
+			throw new regionError("Connectivity must be either 4 or 8");
+		return connectivity;
 	},
 
-	rowDataErrorMessage = "Invalid row data for row ",
-
 	/**
-	 * Construct a region from raw band data.  This simply checks the band data for correctness,
-	 * and then fills in the appropriate metadata.  This runs in O(n) time with respect to the
-	 * number of bands.
+	 * Label every span of every row with the connected component it belongs to.  This links
+	 * the spans of each pair of adjacent rows wherever they overlap (or, for 8-connectivity,
+	 * wherever they touch at a corner) using a union-find structure, walking each pair of rows
+	 * in parallel.  This runs in O(n) time (well, O(n * alpha(n))), where 'n' is the number of
+	 * rectangles in the region.
+	 *
+	 * Returns { spans:, labels:, count: }, where 'spans' contains the raw spans of each row,
+	 * 'labels' contains a component number for each span of each row, and 'count' is the number
+	 * of components.  Components are numbered in top-to-bottom, left-to-right order.
 	 */
-	makeDataFromRows = function(bands) {
-
-		// These will collect all the statistical metadata about the region.
-		let prevMax = nInf;
-		let count = 0;
-		let minX = pInf, maxX = nInf;
-		let hash = 0;
-
-		// Clone the band data, validate it, and collect the metadata.  This is O(n) with respect
-		// to the number of bands; the number of rectangles per band is irrelevant.
-		const array = [];
-		for (let i = 0, l = bands.length; i < l; i++) {
+	labelComponents = function(array, connectivity) {
+		const parents = [];
 
-			// Check the band.
-			const band = bands[i];
-			if (band.minY < prevMax || band.minY >= band.maxY || !(band.region instanceof Region1D)) {
-				throw new RegionError(rowDataErrorMessage + i);
+		// Find the root of the set containing the given span, compressing the path as we go.
+		const find = function(index) {
+			while (parents[index] !== index) {
+				index = parents[index] = parents[parents[index]];
 			}
+			return index;
+		};
 
-			// Push a cloned copy of its data.
-			array.push({
-				region: band.region,
-				minY: band.minY,
-				maxY: band.maxY
-			});
+		// Link the sets containing the two given spans, always keeping the earlier one as the root.
+		const link = function(a, b) {
+			a = find(a), b = find(b);
+			if (a < b) parents[b] = a;
+			else if (b < a) parents[a] = b;
+		};
 
-			// Collect statistics about the band.
-			const rowCount = band.region.getCount();
-			if (!rowCount) {
-				throw new RegionError(rowDataErrorMessage + i);
+		const allSpans = [], firstIndexes = [];
+		let prevSpans = null, prevFirst = 0;
+		for (let rowIndex = 0, numRows = array.length; rowIndex < numRows; rowIndex++) {
+			const spans = array[rowIndex].region.getRawSpans();
+			const first = parents.length;
+			for (let i = 0, l = spans.length; i < l; i += 2) {
+				parents.push(parents.length);
 			}
-			count += rowCount;
 
-			// Update the region's X boundaries.
-			const bounds = band.region.getBounds();
-			if (bounds.min < minX) minX = bounds.min;
-			if (bounds.max > maxX) maxX = bounds.max;
+			// If this row touches the previous row, link their overlapping spans.
+			if (prevSpans && array[rowIndex - 1].maxY === array[rowIndex].minY) {
+				let i = 0, j = 0;
+				while (i < prevSpans.length && j < spans.length) {
+					const touches = connectivity === 8
+						? prevSpans[i] <= spans[j+1] && spans[j] <= prevSpans[i+1]
+						: prevSpans[i] < spans[j+1] && spans[j] < prevSpans[i+1];
+					if (touches) link(prevFirst + (i >> 1), first + (j >> 1));
+
+					// Move past whichever span ends first.
+					if (prevSpans[i+1] < spans[j+1]) i += 2;
+					else j += 2;
+				}
+			}
 
-			// Update the region's hash code (for fast inequality tests).
-			hash *= 23;
-			hash += band.region.getHashCode() | 0;
-			hash &= ~0;
+			allSpans.push(spans);
+			firstIndexes.push(first);
+			prevSpans = spans, prevFirst = first;
+		}
 
-			prevMax = band.maxY;
+		// Renumber the roots consecutively, in order of first appearance.
+		const numbers = {};
+		let count = 0;
+		const labels = [];
+		for (let rowIndex = 0, numRows = array.length; rowIndex < numRows; rowIndex++) {
+			const rowLabels = [];
+			for (let i = 0, l = allSpans[rowIndex].length >> 1; i < l; i++) {
+				const root = find(firstIndexes[rowIndex] + i);
+				if (!(root in numbers)) numbers[root] = count++;
+				rowLabels.push(numbers[root]);
+			}
+			labels.push(rowLabels);
 		}
 
-		// Create the region data from the resulting rows and the metadata.
-		return {
-			array: array,
-			count: count,
-			minX: minX,
-			minY: array.length ? array[0].minY : pInf,
-			maxX: maxX,
-			maxY: array.length ? array[array.length - 1].maxY : nInf,
-			hash: hash
-		};
+		return { spans: allSpans, labels: labels, count: count };
 	},
 
 	/**
-	 * Create a simple rectangle from the given region's internal bounding rect.
+	 * Split the given region into its connected components, returning an array of region data,
+	 * one for each component, in top-to-bottom, left-to-right order.
 	 */
-	getBoundsFromData = function(data) {
-		return {
-			x: data.minX,
-			y: data.minY,
-			width: data.maxX - data.minX,
-			height: data.maxY - data.minY,
+	makeComponentsData = function(array, connectivity) {
+		const components = labelComponents(array, connectivity);
+
+		// Distribute each row's spans among the components' rows.
+		const componentRows = [];
+		for (let c = 0; c < components.count; c++) {
+			componentRows.push([]);
+		}
+		for (let rowIndex = 0, numRows = array.length; rowIndex < numRows; rowIndex++) {
+			const spans = components.spans[rowIndex], labels = components.labels[rowIndex];
+			const row = array[rowIndex];
+
+			// Gather this row's spans by component.  A component's spans needn't be consecutive
+			// within a row (think of a 'U' with another piece inside it), so we can't just split
+			// the row into runs.
+			const pieces = {}, order = [];
+			for (let i = 0, l = labels.length; i < l; i++) {
+				if (!(labels[i] in pieces)) {
+					pieces[labels[i]] = [];
+					order.push(labels[i]);
+				}
+				pieces[labels[i]].push(spans[i*2], spans[i*2+1]);
+			}
+
+			for (let i = 0, l = order.length; i < l; i++) {
+
+				// If every span in this row belongs to the same component, share the row as-is.
+				const region = l === 1 ? row.region : new Region1D(pieces[order[i]]);
+
+				appendRow(componentRows[order[i]], region, row.minY, row.maxY);
+			}
+		}
+
+		const result = [];
+		for (let c = 0; c < components.count; c++) {
+			result.push(makeDataFromValidRows(componentRows[c]));
+		}
+		return result;
+	},
+
+	/**
+	 * Determine whether the given region consists of exactly one connected component.  This
+	 * checks a few easy cases before resorting to labeling the components.
+	 */
+	isConnectedData = function(data, connectivity) {
+		const array = data.array;
+		if (!array.length) return false;
+		if (data.count === 1) return true;
+
+		// Any vertical gap between rows means there are at least two pieces.
+		for (let i = 1, l = array.length; i < l; i++) {
+			if (array[i - 1].maxY !== array[i].minY) return false;
+		}
+
+		return labelComponents(array, connectivity).count === 1;
+	},
+
+	/**
+	 * Find the holes in the given region, i.e., the bounded connected components of its
+	 * complement, and return them as an array of region data.  Pieces of the region that
+	 * are 'connectivity'-connected enclose the holes, so the complement's components are
+	 * found using the opposite connectivity:  With 4-connectivity, a gap that only leaks
+	 * out through a diagonal corner is not a hole; with 8-connectivity, it is.
+	 */
+	findHolesData = function(array, connectivity) {
+		if (!array.length) return [];
+
+		const complement = notData(array);
+		const components = makeComponentsData(complement.array, connectivity === 4 ? 8 : 4);
+
+		// Anything that reaches infinity isn't enclosed by the region, so it isn't a hole.
+		const holes = [];
+		for (let i = 0, l = components.length; i < l; i++) {
+			if (!isInfinite(components[i])) holes.push(components[i]);
+		}
+		return holes;
+	},
+
+	/**
+	 * Interpret a { maxArea: } option, which defaults to infinity.
+	 */
+	getMaxArea = function(options) {
+		const maxArea = options && typeof options.maxArea !== 'undefined'
+			? Number(options.maxArea) : pInf;
+		if (!(maxArea >= 0))	// Catches NaNs as well as negatives.
+			throw new regionError("Invalid maximum area");
+		return maxArea;
+	},
+
+	//---------------------------------------------------------------------------------------------
+	// Support for measurement.
+
+	/**
+	 * Calculate the geometric measures of the given region:  Its area, its perimeter, its
+	 * centroid, and its second moments of area about that centroid.  These are all computed
+	 * directly from the bands in O(n) time, where 'n' is the number of rectangles in the
+	 * region, and the result is cached in the region's data, since the data never changes.
+	 *
+	 * An infinite region has infinite area and moments, and no centroid.  Its perimeter counts
+	 * only the edges that don't lie at infinity, so it's zero for the infinite plane, but
+	 * infinite for, say, a half-plane.
+	 */
+	getMeasures = function(data) {
+		if (data.measures) return data.measures;
+
+		const array = data.array;
+
+		// First, sum up the perimeter, which we do by tracing the edges of each band exactly
+		// as getPath() would, but skipping any edges that lie at infinity.
+		let perimeter = 0;
+		for (let i = 0, l = array.length; i < l; i++) {
+			const band = array[i], spans = band.region.getRawSpans(), height = band.maxY - band.minY;
+
+			// Vertical edges.
+			for (let j = 0, m = spans.length; j < m; j += 2) {
+				if (spans[j] !== nInf) perimeter += height;
+				if (spans[j+1] !== pInf) perimeter += height;
+			}
+
+			// Horizontal edges along the top of this band.
+			if (i > 0 && array[i-1].maxY === band.minY)
+				perimeter += array[i-1].region.xor(band.region).getLength();
+			else {
+				if (i > 0) perimeter += array[i-1].region.getLength();
+				if (band.minY !== nInf) perimeter += band.region.getLength();
+			}
+		}
+		if (array.length && data.maxY !== pInf)
+			perimeter += array[array.length - 1].region.getLength();
+
+		// Infinite regions have nothing else that's finite to measure.
+		if (isInfinite(data)) {
+			return (data.measures = {
+				area: pInf, perimeter: perimeter, centroid: null,
+				xx: pInf, yy: pInf, xy: pInf
+			});
+		}
+
+		// Next, sum up the area and its first moments.  We measure relative to the region's
+		// top-left corner, which keeps the numbers small and the floating-point error down.
+		let area = 0, sumX = 0, sumY = 0;
+		for (let i = 0, l = array.length; i < l; i++) {
+			const band = array[i], spans = band.region.getRawSpans();
+			const y1 = band.minY - data.minY, y2 = band.maxY - data.minY, height = y2 - y1;
+			for (let j = 0, m = spans.length; j < m; j += 2) {
+				const x1 = spans[j] - data.minX, x2 = spans[j+1] - data.minX, width = x2 - x1;
+				area += width * height;
+				sumX += (x2 * x2 - x1 * x1) / 2 * height;
+				sumY += width * (y2 * y2 - y1 * y1) / 2;
+			}
+		}
+		if (!area) {
+			return (data.measures = {
+				area: 0, perimeter: 0, centroid: null,
+				xx: 0, yy: 0, xy: 0
+			});
+		}
+		const cx = sumX / area, cy = sumY / area;
+
+		// Finally, sum up the second moments, measured directly relative to the centroid,
+		// rather than by subtracting large nearly-equal numbers.
+		let xx = 0, yy = 0, xy = 0;
+		for (let i = 0, l = array.length; i < l; i++) {
+			const band = array[i], spans = band.region.getRawSpans();
+			const y1 = band.minY - data.minY - cy, y2 = band.maxY - data.minY - cy, height = y2 - y1;
+			for (let j = 0, m = spans.length; j < m; j += 2) {
+				const x1 = spans[j] - data.minX - cx, x2 = spans[j+1] - data.minX - cx, width = x2 - x1;
+				xx += (x2 * x2 * x2 - x1 * x1 * x1) / 3 * height;
+				yy += width * (y2 * y2 * y2 - y1 * y1 * y1) / 3;
+				xy += (x2 * x2 - x1 * x1) / 2 * (y2 * y2 - y1 * y1) / 2;
+			}
+		}
+
+		return (data.measures = {
+			area: area, perimeter: perimeter, centroid: { x: cx + data.minX, y: cy + data.minY },
+			xx: xx, yy: yy, xy: xy
+		});
+	},
+
+	//---------------------------------------------------------------------------------------------
+	// Region miscellaneous support.
+	
+	/**
+	 * Calculate a new region whose coordinates have all been translated/scaled by the given amounts.
+	 */
+	transformData = function(array, ratioX, ratioY, deltaX, deltaY) {
+		deltaX = Number(deltaX);
+		deltaY = Number(deltaY);
+		if (!(nInf < deltaX && deltaX < pInf) || !(nInf < deltaY && deltaY < pInf))	// Catches other NaNs as well as infinities.
+			throw new regionError("Invalid translation delta");
+		ratioX = Number(ratioX);
+		ratioY = Number(ratioY);
+		if (!(nInf < ratioX && ratioX < pInf) || ratioX === 0
+			|| !(nInf < ratioY && ratioY < pInf) || ratioY === 0)		// Catches other NaNs as well as infinities.
+			throw new regionError("Invalid scale ratio");
+
+		const newArray = [];
+		if (ratioY > 0) {
+			for (let i = 0, l = array.length; i < l; i++) {
+				const row = array[i]
+				newArray[i] = {
+					region: row.region.transform(ratioX, deltaX),
+					minY: row.minY * ratioY + deltaY,
+					maxY: row.maxY * ratioY + deltaY
+				};
+			}
+		}
+		else {
+			// A negative Y ratio mirrors the region vertically, so the rows come out in
+			// reverse order, and each row's top and bottom edges trade places.
+			for (let i = 0, l = array.length; i < l; i++) {
+				const row = array[l - 1 - i];
+				newArray[i] = {
+					region: row.region.transform(ratioX, deltaX),
+					minY: row.maxY * ratioY + deltaY,
+					maxY: row.minY * ratioY + deltaY
+				};
+			}
+		}
+		
+		return newArray;
+	},
+
+	/**
+	 * Collect every distinct X coordinate of every span of the given rows, in sorted order.
+	 * These are the boundaries of the region's columns.
+	 */
+	collectColumns = function(array) {
+		const xs = [];
+		for (let i = 0, l = array.length; i < l; i++) {
+			const spans = array[i].region.getRawSpans();
+			for (let j = 0, m = spans.length; j < m; j++) {
+				xs.push(spans[j]);
+			}
+		}
+		xs.sort(compareNumbers);
+
+		const columns = [];
+		for (let i = 0, l = xs.length; i < l; i++) {
+			if (!columns.length || columns[columns.length - 1] !== xs[i]) columns.push(xs[i]);
+		}
+		return columns;
+	},
+
+	/**
+	 * Calculate a new region that is the transpose of the given region, i.e., with its X and Y
+	 * coordinates swapped.  Since the rows are horizontal bands, this can't be done just by
+	 * swapping coordinates; the region's columns have to be turned into new rows:
+	 *
+	 *   1. Collect every distinct X coordinate of every span, in sorted order; these are the
+	 *      boundaries of the columns, and so the boundaries of the new rows.
+	 *   2. Sweep across the columns from left to right, keeping a span index for each row, so
+	 *      that we can tell in O(1) whether each row covers the current column.
+	 *   3. The rows that cover a column, merged wherever they're adjacent, are the spans of
+	 *      the new row for that column.
+	 *
+	 * As always, empty rows are discarded and identical adjacent rows are coalesced.  This runs
+	 * in O(c*n) time for c columns and n rows, which is proportional to the worst-case size of
+	 * the output.
+	 */
+	transposeData = function(array) {
+
+		// Step 1.  Collect all of the column boundaries.
+		const columns = collectColumns(array);
+
+		// Step 2.  Sweep across the columns, tracking the current span of each row.
+		const rowSpans = [], spanIndexes = [];
+		for (let i = 0, l = array.length; i < l; i++) {
+			rowSpans.push(array[i].region.getRawSpans());
+			spanIndexes.push(0);
+		}
+
+		const result = [];
+		for (let c = 0, numColumns = columns.length - 1; c < numColumns; c++) {
+			const x = columns[c];
+
+			// Step 3.  Collect the rows that cover this column, merging adjacent rows.
+			const ySpans = [];
+			for (let i = 0, l = array.length; i < l; i++) {
+				const spans = rowSpans[i];
+				while (spanIndexes[i] < spans.length && spans[spanIndexes[i] + 1] <= x) {
+					spanIndexes[i] += 2;
+				}
+				if (spanIndexes[i] >= spans.length || spans[spanIndexes[i]] > x) continue;
+
+				if (ySpans.length && ySpans[ySpans.length - 1] === array[i].minY) {
+					ySpans[ySpans.length - 1] = array[i].maxY;
+				}
+				else {
+					ySpans.push(array[i].minY);
+					ySpans.push(array[i].maxY);
+				}
+			}
+
+			// If the result is empty, we don't add it.
+			if (!ySpans.length)
+				continue;
+
+			appendRow(result, new Region1D(ySpans), x, columns[c + 1]);
+		}
+
+		return makeDataFromValidRows(result);
+	},
+
+	/**
+	 * Calculate a new region that is the given region rotated clockwise (as seen on a screen,
+	 * where Y increases downward) by the given multiple of 90 degrees about the given point.
+	 * The quarter-turns are all just mirrorings and/or transpositions, so this is exact.
+	 */
+	rotateData = function(data, degrees, originX, originY) {
+		degrees = Number(degrees);
+		if (!(nInf < degrees && degrees < pInf) || degrees % 90)
+			throw new regionError("Rotation must be a multiple of 90 degrees");
+		originX = typeof originX === 'undefined' ? 0 : Number(originX);
+		originY = typeof originY === 'undefined' ? 0 : Number(originY);
+		if (!(nInf < originX && originX < pInf) || !(nInf < originY && originY < pInf))	// Catches NaNs as well as infinities.
+			throw new regionError("Invalid rotation origin");
+
+		switch ((((degrees / 90) % 4) + 4) % 4) {
+			case 0:
+				return data;
+			case 1:
+				// (x, y) -> (originX + originY - y, originY - originX + x)
+				return makeDataFromRows(transformData(transposeData(data.array).array,
+					-1.0, 1.0, originX + originY, originY - originX));
+			case 2:
+				// (x, y) -> (2*originX - x, 2*originY - y)
+				return makeDataFromRows(transformData(data.array, -1.0, -1.0, 2 * originX, 2 * originY));
+			case 3:
+				// (x, y) -> (originX - originY + y, originX + originY - x)
+				return makeDataFromRows(transformData(transposeData(data.array).array,
+					1.0, -1.0, originX - originY, originX + originY));
+		}
+	},
+
+	/**
+	 * Interpret the arguments to inflate() or deflate(), which may either be a pair of
+	 * horizontal/vertical amounts, or an object with separate { left:, top:, right:, bottom: }
+	 * amounts.  Returns an object of the latter form, with all four amounts validated.
+	 */
+	getInflateAmounts = function(dx, dy) {
+		let amounts;
+		if (dx !== null && typeof dx === 'object') {
+			amounts = {
+				left: Number(dx.left || 0), top: Number(dx.top || 0),
+				right: Number(dx.right || 0), bottom: Number(dx.bottom || 0)
+			};
+		}
+		else {
+			dx = Number(dx);
+			dy = typeof dy === 'undefined' ? dx : Number(dy);
+			amounts = { left: dx, top: dy, right: dx, bottom: dy };
+		}
+
+		if (!(0 <= amounts.left && amounts.left < pInf) || !(0 <= amounts.top && amounts.top < pInf)
+			|| !(0 <= amounts.right && amounts.right < pInf) || !(0 <= amounts.bottom && amounts.bottom < pInf))		// Catches NaNs as well as infinities.
+			throw new regionError("Invalid inflation amount");
+
+		return amounts;
+	},
+
+	/**
+	 * Calculate the morphological dilation of the given region by a rectangle, i.e., the Minkowski
+	 * sum of the region with the rectangle [-left, right] x [-top, bottom].  This is exact, and is
+	 * done in two steps:
+	 *
+	 *   1. Each row's spans are grown horizontally using Region1D#grow(), which merges any spans
+	 *      that come to touch.
+	 *   2. Each row is then stretched vertically by 'top' and 'bottom', which causes nearby rows
+	 *      to overlap.  Since every row is stretched by the same amounts, the stretched rows are
+	 *      still sorted by both their top and bottom edges, so we can sweep down through all of
+	 *      those edges, keeping a window of the rows that overlap each new band, and union them.
+	 *
+	 * As always, empty rows are discarded and identical adjacent rows are coalesced.  Each band
+	 * unions every stretched row that overlaps it, so this runs in O(n*k) time, where 'k' is the
+	 * number of stretched rows that overlap any one band.
+	 */
+	inflateData = function(array, left, top, right, bottom) {
+
+		// Step 1.  Grow every row horizontally, and stretch it vertically.
+		const rows = [];
+		for (let i = 0, l = array.length; i < l; i++) {
+			rows.push({
+				region: array[i].region.grow(left, right),
+				minY: array[i].minY - top,
+				maxY: array[i].maxY + bottom
+			});
+		}
+
+		// Step 2.  Sweep down through every top and bottom edge.  Row indexes [lo, hi) are the
+		// rows that overlap the current band.
+		const result = [];
+		let lo = 0, hi = 0;
+		let y = rows.length ? rows[0].minY : pInf;
+		while (lo < rows.length) {
+
+			// Add the rows that start here, and remove the rows that end here.
+			while (hi < rows.length && rows[hi].minY <= y) hi++;
+			while (lo < hi && rows[lo].maxY <= y) lo++;
+
+			// Find the next edge below this one.
+			let nextY = pInf;
+			if (hi < rows.length) nextY = rows[hi].minY;
+			if (lo < hi && rows[lo].maxY < nextY) nextY = rows[lo].maxY;
+
+			if (lo < hi) {
+				const overlapping = [];
+				for (let i = lo; i < hi; i++) {
+					overlapping.push(rows[i].region);
+				}
+				appendRow(result,
+					overlapping.length === 1 ? overlapping[0] : Region1D.unionAll(overlapping), y, nextY);
+			}
+
+			if (nextY === pInf) break;
+			y = nextY;
+		}
+
+		return makeDataFromValidRows(result);
+	},
+
+	/**
+	 * Calculate the morphological erosion of the given region by a rectangle, i.e., the set of
+	 * points that remain after moving each left edge right by 'left', each top edge down by 'top',
+	 * and so on.  This is exact, and is calculated as the complement of the dilation of the
+	 * complement, using a rectangle mirrored from the one given.
+	 */
+	deflateData = function(array, left, top, right, bottom) {
+		const inflated = inflateData(notData(array).array, right, bottom, left, top);
+		return notData(inflated.array);
+	},
+
+	/**
+	 * Determine if the bounding rectangles of each region actually overlap.  If they
+	 * don't overlap, we can often treat region operations as special degenerate cases.
+	 * This runs in O(1) time.
+	 */
+	doBoundsOverlap = function(data1, data2) {
+		return !(data1.minX > data2.maxX
+			|| data1.maxX < data2.minX
+			|| data1.minY > data2.maxY
+			|| data1.maxY < data2.minY);
+	},
+	
+	cannotConstructMessage = "Cannot construct a Region2D from ",
+	invalidRectangleDataMessage = cannotConstructMessage + "invalid rectangle data.",
+	invalidRectangleSizeMessage = cannotConstructMessage + "a rectangle of zero or negative size.",
+
+	/**
+	 * Make region data from a single rectangle, in one of the four major rectangle forms:
+	 *     - An object with { x:, y:, width:, height: } properties.
+	 *     - An object with { left:, top:, right:, bottom: } properties.
+	 *     - An array with [x, y, width, height] values.
+	 *     - A DOM element's bounding box.
+	 * 
+	 * This is fairly straightforward, and runs in O(1) time.
+	 */
+	makeRegionDataFromOneRect = function(rect) {
+
+		// Calculate the actual rectangle coordinates from whatever object was passed in.
+		let minX, maxX, minY, maxY;
+		if (typeof(HTMLElement) !== 'undefined' && rect instanceof HTMLElement) {
+			var clientRect = rect.getBoundingClientRect();
+			minX = window.scrollX + clientRect.left, minY = window.scrollY + clientRect.top;
+			maxX = window.scrollX + clientRect.right, maxY = window.scrollY + clientRect.bottom;
+		}
+		else if (isArray(rect)) {
+			if (rect.length !== 4) {
+				throw new regionError(invalidRectangleDataMessage);
+			}
+			minX = Number(rect[0]), minY = Number(rect[1]);
+			maxX = Number(rect[2]), maxY = Number(rect[3]);
+		}
+		else if ("left" in rect) {
+			minX = Number(rect.left), minY = Number(rect.top);
+			maxX = Number(rect.right), maxY = Number(rect.bottom);
+		}
+		else if ("x" in rect) {
+			minX = Number(rect.x), minY = Number(rect.y);
+			maxX = minX + Number(rect.width), maxY = minY + Number(rect.height);
+		}
+		else {
+			throw new regionError(invalidRectangleDataMessage);
+		}
+
+		// Validate the rectangle data.
+		if (maxX <= minX || maxY <= minY) {
+			throw new regionError(invalidRectangleSizeMessage);
+		}
+
+		// Construct the new row containing that rectangle.
+		const region1D = new Region1D([minX, maxX]);
+
+		// Now make the actual region data for this single-rect region.
+		const data = {
+			array: [ {
+				region: region1D,
+				minY: minY,
+				maxY: maxY
+			} ],
+			count: 1,
+			minX: minX,
+			minY: minY,
+			maxX: maxX,
+			maxY: maxY,
+			hash: region1D.getHashCode(),
+			measures: null
+		};
+
+		return data;
+	},
+
+	/**
+	 * Construct an empty region consisting of no rectangles at all.
+	 */
+	makeEmptyRegionData = function() {
+		return {
+			array: [ ],
+			count: 0,
+			minX: pInf,
+			minY: pInf,
+			maxX: nInf,
+			maxY: nInf,
+			hash: 0,
+			measures: null
+		};
+	},
+
+	rowDataErrorMessage = "Invalid row data for row ",
+
+	/**
+	 * Construct a region from raw band data.  This simply checks the band data for correctness,
+	 * and then fills in the appropriate metadata.  This runs in O(n) time with respect to the
+	 * number of bands.
+	 */
+	makeDataFromRows = function(bands) {
+
+		// These will collect all the statistical metadata about the region.
+		let prevMax = nInf;
+		let count = 0;
+		let minX = pInf, maxX = nInf;
+		let hash = 0;
+
+		// Clone the band data, validate it, and collect the metadata.  This is O(n) with respect
+		// to the number of bands; the number of rectangles per band is irrelevant.
+		const array = [];
+		for (let i = 0, l = bands.length; i < l; i++) {
+
+			// Check the band.
+			const band = bands[i];
+			if (band.minY < prevMax || band.minY >= band.maxY || !(band.region instanceof Region1D)) {
+				throw new RegionError(rowDataErrorMessage + i);
+			}
+
+			// Push a cloned copy of its data.
+			array.push({
+				region: band.region,
+				minY: band.minY,
+				maxY: band.maxY
+			});
+
+			// Collect statistics about the band.
+			const rowCount = band.region.getCount();
+			if (!rowCount) {
+				throw new RegionError(rowDataErrorMessage + i);
+			}
+			count += rowCount;
+
+			// Update the region's X boundaries.
+			const bounds = band.region.getBounds();
+			if (bounds.min < minX) minX = bounds.min;
+			if (bounds.max > maxX) maxX = bounds.max;
+
+			// Update the region's hash code (for fast inequality tests).
+			hash *= 23;
+			hash += band.region.getHashCode() | 0;
+			hash &= ~0;
+
+			prevMax = band.maxY;
+		}
+
+		// Create the region data from the resulting rows and the metadata.
+		return {
+			array: array,
+			count: count,
+			minX: minX,
+			minY: array.length ? array[0].minY : pInf,
+			maxX: maxX,
+			maxY: array.length ? array[array.length - 1].maxY : nInf,
+			hash: hash,
+			measures: null
+		};
+	},
+
+	/**
+	 * Construct a region from band data that is already known to be valid, sharing the given
+	 * array as-is, and filling in the appropriate metadata.  The metadata is collected from each
+	 * row's own cached metadata, so this is O(n) with respect to the number of bands; the number
+	 * of rectangles per band is irrelevant.
+	 */
+	makeDataFromValidRows = function(array) {
+		let count = 0;
+		let minX = pInf, maxX = nInf;
+		let hash = 0;
+		for (let i = 0, l = array.length; i < l; i++) {
+			const region = array[i].region;
+			count += region.getCount();
+
+			const bounds = region.getBounds();
+			if (bounds.min < minX) minX = bounds.min;
+			if (bounds.max > maxX) maxX = bounds.max;
+
+			hash *= 23;
+			hash += region.getHashCode() | 0;
+			hash &= ~0;
+		}
+
+		return {
+			array: array,
+			count: count,
+			minX: minX,
+			minY: array.length ? array[0].minY : pInf,
+			maxX: maxX,
+			maxY: array.length ? array[array.length - 1].maxY : nInf,
+			hash: hash,
+			measures: null
+		};
+	},
+
+	/**
+	 * Append a new row to the given array of rows that is being built from top to bottom,
+	 * keeping it valid for makeDataFromValidRows():  An empty row isn't added at all, and if the
+	 * row is the same as the previous row, and they're immediately adjacent, then the previous
+	 * row is just expanded instead.  The previous row's object may be modified, so the array must
+	 * contain only row objects that were created for it.
+	 */
+	appendRow = function(result, region, minY, maxY) {
+		if (region.isEmpty()) return;
+
+		const last = result.length ? result[result.length - 1] : null;
+		if (last && last.maxY === minY && region.equals(last.region)) {
+			last.maxY = maxY;
+			return;
+		}
+
+		result.push({ region: region, minY: minY, maxY: maxY });
+	},
+
+	/**
+	 * Create a simple rectangle from the given region's internal bounding rect.
+	 */
+	getBoundsFromData = function(data) {
+		return {
+			x: data.minX,
+			y: data.minY,
+			width: data.maxX - data.minX,
+			height: data.maxY - data.minY,
 			left: data.minX,
 			top: data.minY,
 			right: data.maxX,
@@ -875,119 +1817,1197 @@ const Region2D = (function() {
 	},
 
 	/**
-	 * Get a copy of the raw row data.
+	 * Get a copy of the raw row data.
+	 */
+	getRawRows = function(srcArray) {
+		const destArray = [];
+		for (let i = 0, l = srcArray.length; i < l; i++) {
+			const src = srcArray[i];
+			destArray.push({
+				minY: src.minY,
+				maxY: src.maxY,
+				region: src.region
+			});
+		}
+		return destArray;
+	},
+
+	/**
+	 * Get all of the rectangle data for this entire region.
+	 */
+	makeRects = function(array) {
+		const result = [];
+		for (let i = 0, l = array.length; i < l; i++) {
+			const row = array[i];
+			row.region.getAsRects(row.minY, row.maxY, result);
+		}
+		return result;
+	},
+
+	/**
+	 * Determine whether this region stretches to infinity in any direction.
+	 */
+	isInfinite = function(data) {
+		return data.minX === nInf || data.minY === nInf
+			|| data.maxX === pInf || data.maxY === pInf;
+	},
+	
+	/**
+	 * Compare the Region1D data found in each array instance to each other for equality.
+	 */
+	arrayEquals = function(array1, array2) {
+		if (array1.length != array2.length) return false;
+		for (let i = 0, l = array1.length; i < l; i++) {
+			if (array1[i].minY !== array2[i].minY
+				|| array1[i].maxY !== array2[i].maxY) return false;
+			if (!array1[i].region.equals(array2[i].region)) return false;
+		}
+		return true;
+	},
+
+	/**
+	 * Determine if the data of region1 intersects the data of region2, and do so more efficiently
+	 * than simply performing "!a.intersect(b).isEmpty()".
+	 */
+	doesIntersectData = function(data1, data2) {
+
+		// If either is empty, or they're nowhere near each other, there's no intersection.
+		if (!data1.array.length || !data2.array.length) return false;
+		if (!doBoundsOverlap(data1, data2)) return false;
+
+		// Walk the paired bands, and stop at the first pair that overlaps.  Bands that only
+		// exist on one side can't intersect anything, so we don't bother testing those.
+		const pairGenerator = makeRowPairGenerator(data1.array, data2.array);
+		for (let pair; pair = pairGenerator(); ) {
+			if (pair.row1.isEmpty() || pair.row2.isEmpty()) continue;
+			if (pair.row1.doesIntersect(pair.row2)) return true;
+		}
+
+		return false;
+	},
+
+	/**
+	 * Calculate whether the given region data intersect, and if so, how.  This walks the
+	 * paired bands of both regions and uses Region1D#relate() on each pair, stopping as soon
+	 * as the answer can no longer change.  This requires constant memory, but it may take
+	 * O(n+m) time.
+	 *
+	 * Returns one of:
+	 *    '': no intersection
+	 *    'intersect': there is at least some kind of intersection
+	 *    'a-contain-b': data1 is a proper superset of data2
+	 *    'b-contain-a': data2 is a proper superset of data1
+	 *    'equal': data1 and data2 represent the same exact region
+	 */
+	relateData = function(data1, data2) {
+
+		// If either is empty, or they're nowhere near each other, there's no intersection.
+		if (!data1.array.length || !data2.array.length) return '';
+		if (!doBoundsOverlap(data1, data2)) return '';
+
+		const pairGenerator = makeRowPairGenerator(data1.array, data2.array);
+
+		// Bit flags:  We start out assuming A and B both contain each other, but there
+		// is not yet an intersection, just like Region1D does.
+		let result = 3;
+
+		for (let pair; pair = pairGenerator(); ) {
+			if (pair.row1.isEmpty()) {
+				// B has content here that A doesn't, so A does not contain B.
+				result &= ~1;
+			}
+			else if (pair.row2.isEmpty()) {
+				// A has content here that B doesn't, so B does not contain A.
+				result &= ~2;
+			}
+			else {
+				switch (pair.row1.relate(pair.row2)) {
+					case '': result &= ~3; break;
+					case 'intersect': result = (result | 4) & ~3; break;
+					case 'a-contain-b': result = (result | 4) & ~2; break;
+					case 'b-contain-a': result = (result | 4) & ~1; break;
+					case 'equal': result |= 4; break;
+				}
+			}
+
+			// Once we know there's an intersection and neither contains the other,
+			// nothing that comes after can change the answer.
+			if (result === 4) return 'intersect';
+		}
+
+		// Choose an answer based on the resulting flag bits.
+		switch (result) {
+			case 4: return 'intersect';		// 1 0 0
+			case 5: return 'a-contain-b';	// 1 0 1
+			case 6: return 'b-contain-a';	// 1 1 0
+			case 7: return 'equal';			// 1 1 1
+			default: return '';				// 0 * *
+		}
+	},
+
+	/**
+	 * Determine if the given point lies within the given region data.  This first performs
+	 * some easy boundary checks, then efficiently finds the matching row (if any), and then
+	 * invokes Region1D.isPointIn() to efficiently answer the question for real.  This runs in
+	 * O(lg n) time, where 'n' is the number of rectangles in the region.
+	 */
+	isPointInData = function(data, x, y) {
+		const array = data.array;
+
+		// It can't be in the empty set.
+		if (!array.length) return false;
+		
+		// If it's outside the bounds, it's definitely not in.
+		if (y < data.minY || y > data.maxY
+			|| x < data.minX || x > data.maxX) return false;
+		
+		if (array.length <= 5) {
+			// Spin over all the rows in a simple linear search.
+			for (let i = 0, l = array.length; i < l; i++) {
+				if (y >= array[i].minY && y < array[i].maxY) {
+					// Found the row.
+					return array[i].region.isPointIn(x);
+				}
+			}
+			return false;
+		}
+		else {
+			// Binary search to find the row that y is within.
+			let start = 0, end = array.length;
+			while (start < end) {
+				const midpt = ((start + end) / 2) & ~0;
+				const row = array[midpt];
+				if (y >= row.minY && y < row.maxY) {
+					// Found the row, so see if 'x' lies within its spans.
+					return row.region.isPointIn(x);
+				}
+				else if (y < row.minY) {
+					end = midpt;
+				}
+				else {
+					start = midpt + 1;
+				}
+			}
+			return false;
+		}
+	},
+
+	//---------------------------------------------------------------------------------------------
+	// Direct rectangle operations.
+
+	/**
+	 * Binary search to find the index of the first row whose maxY lies strictly below the given
+	 * Y coordinate, i.e., the first row that could contain 'y' or anything after it.  If there
+	 * is no such row, this returns array.length.  This runs in O(lg n) time.
+	 */
+	findRowIndex = function(array, y) {
+		let start = 0, end = array.length;
+		while (start < end) {
+			const midpt = ((start + end) / 2) & ~0;
+			if (array[midpt].maxY <= y) start = midpt + 1;
+			else end = midpt;
+		}
+		return start;
+	},
+
+	/**
+	 * Construct new region data by replacing the rows in array[lo...hi) with the given rows,
+	 * sharing all of the other rows as-is, and recalculating the region's metadata.  The new
+	 * row array is a copy, and its metadata is recollected from every row, so this is O(n) in
+	 * the number of rows; but it uses only each row's cached metadata, and never looks at the
+	 * rows' spans, so it's a small, flat cost next to combining the rows themselves.
+	 */
+	spliceRowData = function(array, lo, hi, rows) {
+		return makeDataFromValidRows(array.slice(0, lo).concat(rows, array.slice(hi)));
+	},
+
+	/**
+	 * Combine the given rectangle into the given region data, using the given 2-D combining
+	 * function (unionData or subtractData).  Only the rows that overlap the rectangle's Y range,
+	 * plus one neighboring row on each side (so that identical adjacent rows still get coalesced),
+	 * take part in the combination; all other rows are shared with the original region.  The
+	 * combination is O(k) for the 'k' rectangles in those rows, plus the O(n) row splice above.
+	 */
+	combineRectData = function(data, rectData, combine) {
+		const array = data.array;
+
+		// Find the range of rows that overlap the rectangle, widened by one row on each side.
+		const start = findRowIndex(array, rectData.minY);
+		let end = start;
+		while (end < array.length && array[end].minY < rectData.maxY) end++;
+		const lo = Math.max(start - 1, 0), hi = Math.min(end + 1, array.length);
+
+		// Combine just those rows with the rectangle, and splice them back in.
+		const combined = combine(array.slice(lo, hi), rectData.array);
+		return spliceRowData(array, lo, hi, combined.array);
+	},
+
+	/**
+	 * Determine whether any part of the given rectangle lies within the given region data.  This
+	 * binary-searches for the first row that overlaps the rectangle, and then tests only those rows
+	 * that overlap it, stopping at the first hit.
+	 */
+	doesIntersectRectData = function(data, rectData) {
+		if (!data.array.length || !doBoundsOverlap(data, rectData)) return false;
+
+		const array = data.array, rectRow = rectData.array[0].region;
+		for (let i = findRowIndex(array, rectData.minY), l = array.length; i < l && array[i].minY < rectData.maxY; i++) {
+			if (array[i].region.doesIntersect(rectRow)) return true;
+		}
+		return false;
+	},
+
+	/**
+	 * Determine whether the given rectangle lies entirely within the given region data.  This
+	 * binary-searches for the first row that overlaps the rectangle, and then requires that the
+	 * rows overlapping it be contiguous, cover its whole Y range, and each contain its X range.
+	 */
+	doesContainRectData = function(data, rectData) {
+		const array = data.array, rectRow = rectData.array[0].region;
+
+		let y = rectData.minY;
+		for (let i = findRowIndex(array, y), l = array.length; i < l && y < rectData.maxY; i++) {
+			const row = array[i];
+
+			// There must be no gap between this row and whatever came before it.
+			if (row.minY > y) return false;
+
+			// This row must contain all of the rectangle's X range.
+			const relation = row.region.relate(rectRow);
+			if (relation !== 'a-contain-b' && relation !== 'equal') return false;
+
+			y = row.maxY;
+		}
+
+		// If we ran out of rows before covering the whole rectangle, it's not contained.
+		return y >= rectData.maxY;
+	},
+
+	/**
+	 * Clip the given region data to the given rectangle.  This binary-searches for the first row
+	 * that overlaps the rectangle, and then clips only the rows that overlap it, each with
+	 * Region1D#clip(); Region1Ds that lie entirely within the rectangle are shared as-is.
+	 * Clipping can make two touching rows identical, so those are joined back together.  This
+	 * runs in O(lg n + k) time for the 'k' rectangles that overlap the clipping rectangle.
+	 */
+	clipData = function(data, rectData) {
+		const array = data.array, result = [];
+		const minX = rectData.minX, minY = rectData.minY, maxX = rectData.maxX, maxY = rectData.maxY;
+
+		for (let i = findRowIndex(array, minY), l = array.length; i < l && array[i].minY < maxY; i++) {
+			const row = array[i];
+			appendRow(result, row.region.clip(minX, maxX), Math.max(row.minY, minY), Math.min(row.maxY, maxY));
+		}
+
+		return makeDataFromValidRows(result);
+	},
+
+	/**
+	 * Check to ensure that the given object is an array of Region2D instances, and abort if
+	 * it is not.  Returns a new array of their raw row data.
+	 */
+	getArraysOfRegion2Ds = function(regions) {
+		if (!isArray(regions)) {
+			throw new regionError("Expected an array of Region2D instances.");
+		}
+		const arrays = [];
+		for (let i = 0, l = regions.length; i < l; i++) {
+			verifyRegion2DType(regions[i]);
+			arrays.push(getData(regions[i]).array);
+		}
+		return arrays;
+	},
+
+	/**
+	 * Check to ensure that the given object is actually a Region2D, and abort if it is not.
+	 */
+	verifyRegion2DType = function(obj) {
+		if (!(obj instanceof Region2D)) {
+			throw new regionError("Object must be a Region2D instance.");
+		}
+	},
+
+	//---------------------------------------------------------------------------------------------
+	// Support for nearest-point queries.
+
+	/**
+	 * Functions that measure the distance covered by an offset of (dx, dy), where both are
+	 * nonnegative, under each of the supported metrics.
+	 */
+	metrics = {
+		euclidean: (dx, dy) => Math.sqrt(dx * dx + dy * dy),
+		chebyshev: (dx, dy) => dx > dy ? dx : dy,
+		manhattan: (dx, dy) => dx + dy
+	},
+
+	/**
+	 * Interpret a { metric: } option, which must be 'euclidean' (the default), 'chebyshev',
+	 * or 'manhattan', and return its distance function.
+	 */
+	getMetric = function(options) {
+		const metric = options && typeof options.metric !== 'undefined'
+			? String(options.metric) : 'euclidean';
+		if (!metrics.hasOwnProperty(metric))
+			throw new regionError("Metric must be 'euclidean', 'chebyshev', or 'manhattan'");
+		return metrics[metric];
+	},
+
+	/**
+	 * Interpret one coordinate of a nearest-point query, which must be a number, but which
+	 * may be infinite.
+	 */
+	getQueryCoordinate = function(value) {
+		value = Number(value);
+		if (value !== value)	// Catches NaNs, and anything else that isn't a number.
+			throw new regionError("Invalid point coordinate");
+		return value;
+	},
+
+	/**
+	 * Calculate the distance between two coordinates, either of which may be infinite; the
+	 * distance between two equal infinities is zero, not NaN.
+	 */
+	getOffset = (a, b) => a === b ? 0 : Math.abs(a - b),
+
+	/**
+	 * Find the point within or on the edge of the given region that is nearest to (x, y) under
+	 * the given metric, returning { x:, y:, distance: }, or null if the region is empty.  The
+	 * point may be infinitely far away, in which case the distance is Infinity.
+	 *
+	 * This binary-searches for the row at 'y', and then works outward from it both up and down,
+	 * always visiting whichever row is vertically nearer next.  Since no point in a row can be
+	 * nearer than that row's vertical distance, we stop as soon as that distance reaches the
+	 * best distance found so far, so usually only a few rows near 'y' are ever examined.
+	 */
+	findNearestPointData = function(array, x, y, metric) {
+		let best = null;
+
+		let down = findRowIndex(array, y), up = down - 1;
+		while (down < array.length || up >= 0) {
+
+			// Nothing in the next row or beyond it can be nearer than what we already have.
+			const downDistance = down < array.length ? getOffset(Math.max(array[down].minY, y), y) : pInf;
+			const upDistance = up >= 0 ? getOffset(y, Math.min(array[up].maxY, y)) : pInf;
+			if (best && Math.min(downDistance, upDistance) >= best.distance) break;
+
+			// Take the vertically nearer of the next row below and the next row above, or
+			// whichever side still has rows if both are infinitely far away.
+			const row = up < 0 || (down < array.length && downDistance <= upDistance)
+				? array[down++] : array[up--];
+
+			// The nearest point in this row is simply the nearest X and the nearest Y; the
+			// nearest X is either 'x' itself or the nearer end of the gap around it (and an
+			// infinite end of a gap is never the nearer one).
+			const gap = row.region.gapAt(x);
+			const nearestX = !gap ? x
+				: gap.max === pInf || (gap.min !== nInf && x - gap.min <= gap.max - x) ? gap.min : gap.max;
+			const nearestY = y < row.minY ? row.minY : y > row.maxY ? row.maxY : y;
+			const distance = metric(getOffset(nearestX, x), getOffset(nearestY, y));
+
+			if (!best || distance < best.distance)
+				best = { x: nearestX, y: nearestY, distance: distance };
+		}
+
+		return best;
+	},
+
+	//---------------------------------------------------------------------------------------------
+	// Support for placement.
+
+	/**
+	 * Interpret the width and height of a rectangle to be placed, which must both be positive
+	 * and finite.
+	 */
+	getPlacementSize = function(width, height) {
+		width = Number(width);
+		height = Number(height);
+		if (!(0 < width && width < pInf) || !(0 < height && height < pInf))		// Catches NaNs as well as infinities.
+			throw new regionError("Invalid placement size");
+		return { width: width, height: height };
+	},
+
+	/**
+	 * Calculate the closed intervals [start, end] of positions at which a span of the given
+	 * width fits within one of the given raw spans.  Unlike a Region1D, these intervals may
+	 * have zero length, where the width exactly matches a span.
+	 */
+	makeClosedFits = function(spans, width) {
+		const fits = [];
+		for (let i = 0, l = spans.length; i < l; i += 2) {
+			if (spans[i+1] - spans[i] >= width) {
+				fits.push(spans[i]);
+				fits.push(spans[i+1] - width);
+			}
+		}
+		return fits;
+	},
+
+	/**
+	 * Intersect two sorted arrays of closed intervals, which is just like intersecting two
+	 * Region1Ds, except that intervals that merely touch still share their common point.
+	 */
+	intersectClosedFits = function(fits1, fits2) {
+		const result = [];
+		let i = 0, j = 0;
+		while (i < fits1.length && j < fits2.length) {
+			const start = fits1[i] > fits2[j] ? fits1[i] : fits2[j];
+			const end = fits1[i+1] < fits2[j+1] ? fits1[i+1] : fits2[j+1];
+			if (start <= end) {
+				result.push(start);
+				result.push(end);
+			}
+			if (fits1[i+1] < fits2[j+1]) i += 2;
+			else j += 2;
+		}
+		return result;
+	},
+
+	/**
+	 * Find every top-left position at which a rectangle of the given size fits within the
+	 * given region, as an array of closed { left:, top:, right:, bottom: } boxes of positions.
+	 * The boxes are closed (unlike the rectangles of a region), so a rectangle that fits only
+	 * exactly, with no room to move, yields a box of zero width or height rather than nothing.
+	 * Each box also records the indexes of the first and last rows that its rectangles span.
+	 *
+	 * For each row 'i', we consider placing the rectangle's top edge within that row, and then
+	 * extend downward through each following row 'm' that the rectangle could reach, narrowing
+	 * the horizontal positions to those that fit in every row from 'i' through 'm'.  Placing the
+	 * top edge between minY[m] - height and maxY[m] - height within row 'i' then yields a box.
+	 * This runs in O(n * k) time, where 'k' is the number of rows the rectangle can span.
+	 */
+	findPlacementBoxes = function(array, width, height) {
+		const boxes = [];
+
+		const fits = [];
+		for (let i = 0, l = array.length; i < l; i++) {
+			fits.push(makeClosedFits(array[i].region.getRawSpans(), width));
+		}
+
+		for (let i = 0, l = array.length; i < l; i++) {
+			let xs = fits[i];
+			for (let m = i; m < l && xs.length; m++) {
+				if (m > i) {
+					// The rectangle can't reach across a gap between rows, or below its own height.
+					if (array[m].minY !== array[m-1].maxY || array[m].minY - height > array[i].maxY) break;
+					xs = intersectClosedFits(xs, fits[m]);
+				}
+
+				const top = Math.max(array[i].minY, array[m].minY - height);
+				const bottom = Math.min(array[i].maxY, array[m].maxY - height);
+				if (top > bottom) continue;
+
+				for (let j = 0, n = xs.length; j < n; j += 2) {
+					boxes.push({ left: xs[j], top: top, right: xs[j+1], bottom: bottom, firstRow: i, lastRow: m });
+				}
+			}
+		}
+
+		return boxes;
+	},
+
+	/**
+	 * Find a single top-left position at which a rectangle of the given size fits within the
+	 * given region, choosing it according to the given { order:, near: } options:
+	 *
+	 *   - 'row-major' (the default) picks the topmost position, and then the leftmost of those.
+	 *   - 'column-major' picks the leftmost position, and then the topmost of those.
+	 *   - 'nearest' picks the position nearest to the { x:, y: } point given as 'near'.
+	 *
+	 * Returns { x:, y: }, or null if the rectangle doesn't fit anywhere.  An infinite region has
+	 * no topmost or leftmost position, so, just as for packing, it's an error.
+	 */
+	findFirstPlacementData = function(data, width, height, options) {
+		if (isInfinite(data))
+			throw new regionError("Cannot place a rectangle in an infinite region");
+
+		const order = options && typeof options.order !== 'undefined' ? String(options.order) : 'row-major';
+		let near = null;
+		if (order === 'nearest') {
+			near = options.near;
+			if (!near || !(Number(near.x) === Number(near.x)) || !(Number(near.y) === Number(near.y)))
+				throw new regionError("A 'nearest' placement requires a { x:, y: } point to be near");
+			near = { x: Number(near.x), y: Number(near.y) };
+		}
+		else if (order !== 'row-major' && order !== 'column-major')
+			throw new regionError("Order must be 'row-major', 'column-major', or 'nearest'");
+
+		const boxes = findPlacementBoxes(data.array, width, height);
+
+		let best = null, bestDistance = pInf;
+		for (let i = 0, l = boxes.length; i < l; i++) {
+			const box = boxes[i];
+			if (order === 'nearest') {
+				const x = near.x < box.left ? box.left : near.x > box.right ? box.right : near.x;
+				const y = near.y < box.top ? box.top : near.y > box.bottom ? box.bottom : near.y;
+				const dx = x - near.x, dy = y - near.y, distance = dx * dx + dy * dy;
+				if (!best || distance < bestDistance) {
+					best = { x: x, y: y };
+					bestDistance = distance;
+				}
+			}
+			else if (!best
+				|| (order === 'row-major'
+					? box.top < best.y || (box.top === best.y && box.left < best.x)
+					: box.left < best.x || (box.left === best.x && box.top < best.y))) {
+				best = { x: box.left, y: box.top };
+			}
+		}
+
+		return best;
+	},
+
+	/**
+	 * Find the free space around a box of placements (from findPlacementBoxes()):  A rectangle
+	 * spanning every width at which the rectangles fit in all of the box's rows, extended up and
+	 * down through every adjoining row that also has room for that whole width.
+	 */
+	findFreeSpace = function(array, box, width) {
+		const left = box.left, right = box.right + width;
+		const hasRoom = row => {
+			const span = row.region.findSpanAt(left);
+			return span !== null && span.max >= right;
+		};
+
+		let first = box.firstRow, last = box.lastRow;
+		while (first > 0 && array[first-1].maxY === array[first].minY && hasRoom(array[first-1])) first--;
+		while (last < array.length - 1 && array[last+1].minY === array[last].maxY && hasRoom(array[last+1])) last++;
+
+		return { left: left, top: array[first].minY, right: right, bottom: array[last].maxY };
+	},
+
+	/**
+	 * Heuristics for choosing where to pack each rectangle.  Each one scores a box of placements
+	 * (from findPlacementBoxes()) for a rectangle of the given size, where lower scores are better,
+	 * as a pair of numbers, the second of which breaks ties in the first.  The rectangle is always
+	 * placed at its box's top-left corner, and the best-fit heuristics measure how much room it
+	 * leaves to spare in the free space around that box.
+	 */
+	packHeuristics = {
+		'best-area': (array, box, width, height) => {
+			const space = findFreeSpace(array, box, width);
+			const spareX = space.right - space.left - width, spareY = space.bottom - space.top - height;
+			return [(space.right - space.left) * (space.bottom - space.top) - width * height, Math.min(spareX, spareY)];
+		},
+		'bottom-left': (array, box, width, height) => [box.top + height, box.left],
+		'best-short-side': (array, box, width, height) => {
+			const space = findFreeSpace(array, box, width);
+			const spareX = space.right - space.left - width, spareY = space.bottom - space.top - height;
+			return [Math.min(spareX, spareY), Math.max(spareX, spareY)];
+		}
+	},
+
+	/**
+	 * Interpret the size of one rectangle to be packed, which may be either an object with
+	 * { width:, height: } properties or an array of [width, height].
+	 */
+	getPackSize = function(size) {
+		if (isArray(size)) return getPlacementSize(size[0], size[1]);
+		if (size && typeof size === 'object') return getPlacementSize(size.width, size.height);
+		throw new regionError("Expected a { width:, height: } size or a [width, height] array");
+	},
+
+	/**
+	 * Pack rectangles of the given sizes into the given region, one at a time, in the order given.
+	 * Each is placed at the best position according to the { heuristic: } option ('best-area',
+	 * the default; 'bottom-left'; or 'best-short-side'), optionally turned sideways if the
+	 * { allowRotation: true } option is given and that scores better, and is then subtracted
+	 * from the region before the next one is placed.
+	 *
+	 * Returns { placements:, leftover: }, where 'placements' has an { x:, y:, width:, height:,
+	 * rotated: } rectangle for each size (or null for any that didn't fit), and 'leftover' is the
+	 * data of whatever is left of the region afterward.
+	 *
+	 * Each size costs a findPlacementBoxes() and a subtraction, or O(n*k) time; the best-fit
+	 * heuristics also call findFreeSpace() for each of the 'b' boxes, which may walk every row,
+	 * for another O(b*n lg n) time per size.
+	 */
+	packRectsData = function(data, sizes, options) {
+		if (!isArray(sizes))
+			throw new regionError("Expected an array of sizes");
+		if (isInfinite(data))
+			throw new regionError("Cannot pack rectangles into an infinite region");
+
+		const heuristic = options && typeof options.heuristic !== 'undefined'
+			? String(options.heuristic) : 'best-area';
+		if (!packHeuristics.hasOwnProperty(heuristic))
+			throw new regionError("Heuristic must be 'best-area', 'bottom-left', or 'best-short-side'");
+		const score = packHeuristics[heuristic];
+		const allowRotation = !!(options && options.allowRotation);
+
+		const placements = [];
+		for (let i = 0, l = sizes.length; i < l; i++) {
+			const size = getPackSize(sizes[i]);
+
+			// Score every box of placements, in both orientations if we're allowed to rotate.
+			let best = null, bestScore = null;
+			const orientations = allowRotation && size.width !== size.height ? 2 : 1;
+			for (let turn = 0; turn < orientations; turn++) {
+				const width = turn ? size.height : size.width, height = turn ? size.width : size.height;
+				const boxes = findPlacementBoxes(data.array, width, height);
+				for (let j = 0, m = boxes.length; j < m; j++) {
+					const boxScore = score(data.array, boxes[j], width, height);
+					if (!best || boxScore[0] < bestScore[0]
+						|| (boxScore[0] === bestScore[0] && boxScore[1] < bestScore[1])) {
+						best = { x: boxes[j].left, y: boxes[j].top, width: width, height: height, rotated: !!turn };
+						bestScore = boxScore;
+					}
+				}
+			}
+
+			// Take the chosen rectangle out of the region, so nothing else can be placed there.
+			if (best)
+				data = combineRectData(data, makeRegionDataFromOneRect(best), subtractData);
+			placements.push(best);
+		}
+
+		return { placements: placements, leftover: data };
+	},
+
+	//---------------------------------------------------------------------------------------------
+	// Support for maximal rectangles.
+
+	/**
+	 * Make a rectangle object of the same form that getRects() returns.
+	 */
+	makeRect = function(minX, minY, maxX, maxY) {
+		return {
+			x: minX, y: minY, width: maxX - minX, height: maxY - minY,
+			left: minX, top: minY, right: maxX, bottom: maxY
+		};
+	},
+
+	/**
+	 * Find every maximal rectangle within the given region, i.e., every rectangle that lies
+	 * entirely within the region, but that can't be extended any farther in any direction.
+	 *
+	 * The region's distinct X coordinates divide the plane into columns.  Sweeping down through
+	 * the rows, we track for each column the top of the region that is unbroken down to the
+	 * current row, which makes each row into a histogram that rises from the row's bottom edge.
+	 * A stack-based sweep across that histogram then yields every rectangle that rests on the
+	 * row's bottom edge and can't be extended up, left, or right; each of those that can't be
+	 * extended down into the next row either is maximal.  The result is in top-to-bottom, then
+	 * left-to-right order.  This runs in O(n * c) time, where 'c' is the number of columns.
 	 */
-	getRawRows = function(srcArray) {
-		const destArray = [];
-		for (let i = 0, l = srcArray.length; i < l; i++) {
-			const src = srcArray[i];
-			destArray.push({
-				minY: src.minY,
-				maxY: src.maxY,
-				region: src.region
-			});
+	findMaximalRectangles = function(array) {
+		const rects = [];
+		if (!array.length) return rects;
+
+		// Collect the distinct X coordinates, which bound the columns.
+		const columns = collectColumns(array);
+		const numColumns = columns.length - 1;
+
+		// For each column, the top of the unbroken region above the current row, or null.
+		const tops = [];
+		for (let c = 0; c < numColumns; c++) tops.push(null);
+
+		for (let m = 0, l = array.length; m < l; m++) {
+			const row = array[m], spans = row.region.getRawSpans();
+			const joinsAbove = m > 0 && array[m-1].maxY === row.minY;
+			const next = m + 1 < l && array[m+1].minY === row.maxY ? array[m+1] : null;
+
+			// Update the histogram.  Both the spans and the columns are sorted, so this is a merge.
+			for (let c = 0, s = 0; c < numColumns; c++) {
+				while (s < spans.length && spans[s+1] <= columns[c]) s += 2;
+				const covered = s < spans.length && spans[s] <= columns[c];
+				tops[c] = !covered ? null : joinsAbove && tops[c] !== null ? tops[c] : row.minY;
+			}
+
+			// Sweep across the histogram, with a sentinel empty column at the end.  The stack holds
+			// the starting column and top of each bar that's still open, from tallest at the bottom
+			// (i.e., smallest top) to shortest at the top of the stack.
+			const stack = [];
+			for (let c = 0; c <= numColumns; c++) {
+				const top = c < numColumns ? tops[c] : null;
+				let start = c;
+				while (stack.length && (top === null || stack[stack.length - 1].top < top)) {
+					const bar = stack.pop();
+					start = bar.start;
+
+					// This rectangle can't grow up, left, or right; keep it unless it can grow down.
+					const left = columns[bar.start], right = columns[c];
+					const below = next ? next.region.findSpanAt(left) : null;
+					if (!below || below.max < right)
+						rects.push(makeRect(left, bar.top, right, row.maxY));
+				}
+				if (top !== null && (!stack.length || stack[stack.length - 1].top > top))
+					stack.push({ start: start, top: top });
+			}
 		}
-		return destArray;
+
+		rects.sort((a, b) => compareNumbers(a.top, b.top) || compareNumbers(a.left, b.left)
+			|| compareNumbers(a.bottom, b.bottom));
+		return rects;
 	},
 
 	/**
-	 * Get all of the rectangle data for this entire region.
+	 * Find the largest maximal rectangle within the given region, as measured by the { by: }
+	 * option, which may be 'area' (the default), 'width', or 'height'; ties are broken in favor
+	 * of the greater area, and then of the rectangle nearest the top-left.  Returns null if
+	 * the region is empty.
 	 */
-	makeRects = function(array) {
-		const result = [];
+	findLargestRectangle = function(array, options) {
+		const by = options && typeof options.by !== 'undefined' ? String(options.by) : 'area';
+		if (by !== 'area' && by !== 'width' && by !== 'height')
+			throw new regionError("Largest rectangle must be by 'area', 'width', or 'height'");
+
+		const rects = findMaximalRectangles(array);
+		let best = null, bestSize = nInf, bestArea = nInf;
+		for (let i = 0, l = rects.length; i < l; i++) {
+			const rect = rects[i], area = rect.width * rect.height;
+			const size = by === 'area' ? area : by === 'width' ? rect.width : rect.height;
+			if (size > bestSize || (size === bestSize && area > bestArea)) {
+				best = rect;
+				bestSize = size;
+				bestArea = area;
+			}
+		}
+		return best;
+	},
+
+	//---------------------------------------------------------------------------------------------
+	// Support for rectangle decomposition.
+
+	/**
+	 * Interpret a { mode: } option for getRects(), which must be 'bands' (the default),
+	 * 'merged-vertical', or 'minimal'.
+	 */
+	getRectsMode = function(options) {
+		const mode = options && typeof options.mode !== 'undefined' ? String(options.mode) : 'bands';
+		if (mode !== 'bands' && mode !== 'merged-vertical' && mode !== 'minimal')
+			throw new regionError("Mode must be 'bands', 'merged-vertical', or 'minimal'");
+		return mode;
+	},
+
+	/**
+	 * Merge the rectangles of the given rows vertically:  Each piece of each row continues the
+	 * rectangle directly above it if that rectangle has exactly the same left and right edges,
+	 * the rows touch, and the given 'isCut' callback (if any) doesn't report a cut between them
+	 * along the line y = row.minY.  Each row is also split at any X coordinates that the given
+	 * 'getSplits' callback (if any) returns for it.  The result is in top-to-bottom, then
+	 * left-to-right order.  This runs in O(n) time, plus the time spent in the callbacks.
+	 */
+	mergeRowsVertically = function(array, getSplits, isCut) {
+		const rects = [];
+		let open = {};
+
 		for (let i = 0, l = array.length; i < l; i++) {
-			const row = array[i];
-			row.region.getAsRects(row.minY, row.maxY, result);
+			const row = array[i], spans = row.region.getRawSpans();
+			const touches = i > 0 && array[i-1].maxY === row.minY;
+			const splits = getSplits ? getSplits(i) : [];
+
+			// Cut the spans into pieces at the split points.
+			const pieces = [];
+			for (let j = 0, s = 0, m = spans.length; j < m; j += 2) {
+				let start = spans[j];
+				while (s < splits.length && splits[s] <= start) s++;
+				while (s < splits.length && splits[s] < spans[j+1]) {
+					pieces.push(start, splits[s]);
+					start = splits[s++];
+				}
+				pieces.push(start, spans[j+1]);
+			}
+
+			// Extend the matching rectangles from above, and start new ones for everything else.
+			const nextOpen = {};
+			for (let j = 0, m = pieces.length; j < m; j += 2) {
+				const key = pieces[j] + "," + pieces[j+1];
+				let rect = touches ? open[key] : null;
+				if (rect && isCut && isCut(row.minY, pieces[j], pieces[j+1])) rect = null;
+				if (rect) {
+					rect.bottom = row.maxY;
+					rect.height = rect.bottom - rect.top;
+				}
+				else {
+					rect = makeRect(pieces[j], row.minY, pieces[j+1], row.maxY);
+					rects.push(rect);
+				}
+				nextOpen[key] = rect;
+			}
+			open = nextOpen;
 		}
-		return result;
+
+		rects.sort((a, b) => compareNumbers(a.top, b.top) || compareNumbers(a.left, b.left));
+		return rects;
 	},
 
 	/**
-	 * Determine whether this region stretches to infinity in any direction.
+	 * Determine whether the given row covers the area just left of 'x', and if so, return where
+	 * that coverage starts; otherwise, return null.
 	 */
-	isInfinite = function(data) {
-		return data.minX === nInf || data.minY === nInf
-			|| data.maxX === pInf || data.maxY === pInf;
+	getCoverageLeftOf = function(region, x) {
+		const span = region.findSpanAt(x);
+		if (span && span.min < x) return span.min;
+		const prev = region.previousSpanBefore(x);
+		return prev && prev.max === x ? prev.min : null;
 	},
-	
+
 	/**
-	 * Compare the Region1D data found in each array instance to each other for equality.
+	 * Determine whether the given row covers the area just right of 'x', and if so, return where
+	 * that coverage ends; otherwise, return null.
 	 */
-	arrayEquals = function(array1, array2) {
-		if (array1.length != array2.length) return false;
-		for (let i = 0, l = array1.length; i < l; i++) {
-			if (array1[i].minY !== array2[i].minY
-				|| array1[i].maxY !== array2[i].maxY) return false;
-			if (!array1[i].region.equals(array2[i].region)) return false;
+	getCoverageRightOf = function(region, x) {
+		const span = region.findSpanAt(x);
+		return span ? span.max : null;
+	},
+
+	/**
+	 * Find the reflex (270-degree) vertices of the given region's boundary, which can only occur
+	 * where two rows touch.  Each is returned as { x:, y:, row:, left:, up: }, where 'row' is the index
+	 * of the row below the vertex, and 'left' and 'up' describe which quadrant around the vertex is
+	 * missing from the region.
+	 */
+	findReflexVertices = function(array) {
+		const vertices = [];
+		for (let i = 1, l = array.length; i < l; i++) {
+			if (array[i-1].maxY !== array[i].minY) continue;
+			const above = array[i-1].region, below = array[i].region, y = array[i].minY;
+
+			// Every vertex on this line is an endpoint of a span in one row or the other.
+			const xs = above.getRawSpans().concat(below.getRawSpans()).sort(compareNumbers);
+			for (let j = 0, m = xs.length; j < m; j++) {
+				const x = xs[j];
+				if ((j > 0 && xs[j-1] === x) || x === nInf || x === pInf) continue;
+
+				const topLeft = getCoverageLeftOf(above, x) !== null, topRight = getCoverageRightOf(above, x) !== null;
+				const bottomLeft = getCoverageLeftOf(below, x) !== null, bottomRight = getCoverageRightOf(below, x) !== null;
+				if (topLeft + topRight + bottomLeft + bottomRight !== 3) continue;
+
+				vertices.push({ x: x, y: y, row: i, left: !topLeft || !bottomLeft, up: !topLeft || !topRight });
+			}
 		}
-		return true;
+		return vertices;
 	},
 
 	/**
-	 * Determine if the data of region1 intersects the data of region2, and do so more efficiently
-	 * than simply performing "!a.intersect(b).isEmpty()".
+	 * Find the 'good' chords of the given region, the horizontal and vertical segments that lie
+	 * within the region and connect two of its reflex vertices.  A horizontal chord always runs
+	 * along a line where two rows touch, across a span where both rows overlap; a vertical chord
+	 * runs down from a reflex vertex through every row that it's strictly inside of, until it
+	 * reaches another reflex vertex.  Returns { horizontal: [{ y:, x1:, x2: }, ...], vertical:
+	 * [{ x:, y1:, y2: }, ...] }.
 	 */
-	doesIntersectData = function(data1, data2) {
-		// TODO: Implement this better than the quick-and-dirty solution below.  Ideally,
-		//    this should just test the data and early-out on the first hit, rather than
-		//    actually *doing* all the work and then discarding the result.
-		return !!intersectData(data1.array, data2.array).array.length;
+	findChords = function(array, vertices) {
+		const isReflex = {};
+		for (let i = 0, l = vertices.length; i < l; i++) {
+			isReflex[vertices[i].x + "," + vertices[i].y] = true;
+		}
+
+		const horizontal = [];
+		for (let i = 1, l = array.length; i < l; i++) {
+			if (array[i-1].maxY !== array[i].minY) continue;
+			const y = array[i].minY, overlap = array[i-1].region.intersect(array[i].region).getRawSpans();
+			for (let j = 0, m = overlap.length; j < m; j += 2) {
+				if (isReflex[overlap[j] + "," + y] && isReflex[overlap[j+1] + "," + y])
+					horizontal.push({ y: y, x1: overlap[j], x2: overlap[j+1] });
+			}
+		}
+
+		const vertical = [];
+		for (let i = 0, l = vertices.length; i < l; i++) {
+			const vertex = vertices[i];
+			if (!vertex.up) continue;	// The area below the vertex must be inside the region.
+
+			for (let j = vertex.row; j + 1 < array.length && array[j+1].minY === array[j].maxY; j++) {
+				const bottomLeft = getCoverageLeftOf(array[j+1].region, vertex.x) !== null;
+				const bottomRight = getCoverageRightOf(array[j+1].region, vertex.x) !== null;
+				if (bottomLeft && bottomRight) continue;
+				if (bottomLeft || bottomRight)
+					vertical.push({ x: vertex.x, y1: vertex.y, y2: array[j].maxY });
+				break;
+			}
+		}
+
+		return { horizontal: horizontal, vertical: vertical };
 	},
 
 	/**
-	 * Determine if the given point lies within the given region data.  This first performs
-	 * some easy boundary checks, then efficiently finds the matching row (if any), and then
-	 * invokes Region1D.isPointIn() to efficiently answer the question for real.  This runs in
-	 * O(lg n) time, where 'n' is the number of rectangles in the region.
+	 * Choose a largest set of chords in which no two chords intersect (or share an endpoint).
+	 * Horizontal chords can only intersect vertical ones, so this is a maximum independent set
+	 * in a bipartite graph, which we find from a maximum matching using Konig's theorem.  The
+	 * graph may have O(c^2) edges for 'c' chords, and finding each augmenting path may visit
+	 * all of them, so this runs in O(c^3) time in the worst case.
 	 */
-	isPointInData = function(data, x, y) {
-		const array = data.array;
+	chooseChords = function(chords) {
+		const horizontal = chords.horizontal, vertical = chords.vertical;
 
-		// It can't be in the empty set.
-		if (!array.length) return false;
-		
-		// If it's outside the bounds, it's definitely not in.
-		if (y < data.minY || y > data.maxY
-			|| x < data.minX || x > data.maxX) return false;
-		
-		if (array.length <= 5) {
-			// Spin over all the rows in a simple linear search.
-			for (let i = 0, l = array.length; i < l; i++) {
-				if (y >= array[i].minY && y < array[i].maxY) {
-					// Found the row.
-					return array[i].region.isPointIn(x);
+		// Build the graph of intersections.
+		const edges = [];
+		for (let h = 0, hl = horizontal.length; h < hl; h++) {
+			const hChord = horizontal[h], hEdges = [];
+			for (let v = 0, vl = vertical.length; v < vl; v++) {
+				const vChord = vertical[v];
+				if (hChord.x1 <= vChord.x && vChord.x <= hChord.x2 && vChord.y1 <= hChord.y && hChord.y <= vChord.y2)
+					hEdges.push(v);
+			}
+			edges.push(hEdges);
+		}
+
+		// Find a maximum matching, using simple augmenting paths.
+		const matchOfH = [], matchOfV = [];
+		for (let h = 0; h < horizontal.length; h++) matchOfH.push(-1);
+		for (let v = 0; v < vertical.length; v++) matchOfV.push(-1);
+		const augment = function(h, seen) {
+			const hEdges = edges[h];
+			for (let i = 0, l = hEdges.length; i < l; i++) {
+				const v = hEdges[i];
+				if (seen[v]) continue;
+				seen[v] = true;
+				if (matchOfV[v] < 0 || augment(matchOfV[v], seen)) {
+					matchOfV[v] = h;
+					matchOfH[h] = v;
+					return true;
 				}
 			}
 			return false;
+		};
+		for (let h = 0; h < horizontal.length; h++) augment(h, {});
+
+		// Find everything reachable by alternating paths from the unmatched horizontal chords.
+		// The unreached horizontal chords and the reached vertical chords form a minimum vertex
+		// cover, so everything else is a maximum independent set.
+		const reachedH = {}, reachedV = {}, pending = [];
+		for (let h = 0; h < horizontal.length; h++) {
+			if (matchOfH[h] < 0) {
+				reachedH[h] = true;
+				pending.push(h);
+			}
 		}
-		else {
-			// Binary search to find the row that y is within.
-			let start = 0, end = array.length;
-			while (start < end) {
-				const midpt = ((start + end) / 2) & ~0;
-				const row = array[midpt];
-				if (y >= row.minY && y < row.maxY) {
-					// Found the row, so see if 'x' lies within its spans.
-					return row.region.isPointIn(x);
+		while (pending.length) {
+			const hEdges = edges[pending.pop()];
+			for (let i = 0, l = hEdges.length; i < l; i++) {
+				const v = hEdges[i];
+				if (reachedV[v]) continue;
+				reachedV[v] = true;
+				const h = matchOfV[v];
+				if (h >= 0 && !reachedH[h]) {
+					reachedH[h] = true;
+					pending.push(h);
 				}
-				else if (y < row.minY) {
-					end = midpt;
+			}
+		}
+
+		return {
+			horizontal: horizontal.filter((chord, h) => reachedH[h]),
+			vertical: vertical.filter((chord, v) => !reachedV[v])
+		};
+	},
+
+	/**
+	 * Decompose the given region into the fewest possible nonoverlapping rectangles.  This is the
+	 * classic minimum rectilinear partition:  We first cut along a largest set of nonintersecting
+	 * chords between reflex vertices, since each such chord resolves two reflex vertices at once;
+	 * then we resolve each remaining reflex vertex with a horizontal cut that runs from it until
+	 * it leaves the region or meets one of the vertical chords.  The pieces are then collected by
+	 * splitting the rows at the vertical chords, and merging them down wherever there's no cut.
+	 */
+	makeMinimalRects = function(array) {
+		const vertices = findReflexVertices(array);
+		const chords = chooseChords(findChords(array, vertices));
+
+		// Record which reflex vertices the chosen chords resolve.
+		const isResolved = {};
+		for (let i = 0, l = chords.horizontal.length; i < l; i++) {
+			const chord = chords.horizontal[i];
+			isResolved[chord.x1 + "," + chord.y] = isResolved[chord.x2 + "," + chord.y] = true;
+		}
+		for (let i = 0, l = chords.vertical.length; i < l; i++) {
+			const chord = chords.vertical[i];
+			isResolved[chord.x + "," + chord.y1] = isResolved[chord.x + "," + chord.y2] = true;
+		}
+
+		// Collect the horizontal cuts along each line:  The chosen horizontal chords, plus a cut
+		// from each unresolved reflex vertex, heading away from its missing quadrant.
+		const cuts = {};
+		const addCut = (y, x1, x2) => (cuts[y] || (cuts[y] = [])).push(x1, x2);
+		for (let i = 0, l = chords.horizontal.length; i < l; i++) {
+			const chord = chords.horizontal[i];
+			addCut(chord.y, chord.x1, chord.x2);
+		}
+		for (let i = 0, l = vertices.length; i < l; i++) {
+			const vertex = vertices[i], x = vertex.x, y = vertex.y;
+			if (isResolved[x + "," + y]) continue;
+
+			const above = array[vertex.row - 1].region, below = array[vertex.row].region;
+			if (vertex.left) {
+				let end = Math.min(getCoverageRightOf(above, x), getCoverageRightOf(below, x));
+				for (let j = 0, m = chords.vertical.length; j < m; j++) {
+					const chord = chords.vertical[j];
+					if (chord.y1 < y && y < chord.y2 && x < chord.x && chord.x < end) end = chord.x;
 				}
-				else {
-					start = midpt + 1;
+				addCut(y, x, end);
+			}
+			else {
+				let start = Math.max(getCoverageLeftOf(above, x), getCoverageLeftOf(below, x));
+				for (let j = 0, m = chords.vertical.length; j < m; j++) {
+					const chord = chords.vertical[j];
+					if (chord.y1 < y && y < chord.y2 && start < chord.x && chord.x < x) start = chord.x;
 				}
+				addCut(y, start, x);
+			}
+		}
+
+		// Split each row at the vertical chords that pass through it.
+		const getSplits = i => {
+			const splits = [];
+			for (let j = 0, m = chords.vertical.length; j < m; j++) {
+				const chord = chords.vertical[j];
+				if (chord.y1 <= array[i].minY && array[i].maxY <= chord.y2) splits.push(chord.x);
+			}
+			return splits.sort(compareNumbers);
+		};
+
+		// A piece is cut from the piece above it if any cut along that line overlaps it.
+		const isCut = (y, x1, x2) => {
+			const lineCuts = cuts[y];
+			if (!lineCuts) return false;
+			for (let j = 0, m = lineCuts.length; j < m; j += 2) {
+				if (lineCuts[j] < x2 && lineCuts[j+1] > x1) return true;
 			}
 			return false;
+		};
+
+		return mergeRowsVertically(array, getSplits, isCut);
+	},
+
+	//---------------------------------------------------------------------------------------------
+	// Support for approximation.
+
+	/**
+	 * Calculate the area of a strip, where a zero-length or zero-height strip has no area, even
+	 * if its other dimension is infinite.
+	 */
+	getStripArea = function(length, height) {
+		return length && height ? length * height : 0;
+	},
+
+	/**
+	 * Find the cheapest gap to fill in the given approximation row, as { cost:, reduction:, gap: },
+	 * where 'gap' is the index of the span just before it, or return null if the row has no gaps.
+	 */
+	findCheapestGapMerge = function(row) {
+		const spans = row.region.getRawSpans(), height = row.maxY - row.minY;
+		let best = null;
+		for (let i = 1, l = spans.length - 1; i < l; i += 2) {
+			const cost = getStripArea(spans[i+1] - spans[i], height);
+			if (!best || cost < best.cost)
+				best = { cost: cost, reduction: 1, gap: i };
 		}
+		return best;
 	},
 
 	/**
-	 * Check to ensure that the given object is actually a Region2D, and abort if it is not.
+	 * Calculate the cost of merging the two given approximation rows into one row that covers
+	 * both of them (and any vertical gap between them) with the union of their spans, as
+	 * { cost:, reduction:, union: }.
 	 */
-	verifyRegion2DType = function(obj) {
-		if (!(obj instanceof Region2D)) {
-			throw new regionError("Object must be a Region2D instance.");
+	findRowMerge = function(above, below) {
+		const union = above.region.union(below.region);
+		const cost = getStripArea(union.subtract(above.region).getLength(), above.maxY - above.minY)
+			+ getStripArea(union.subtract(below.region).getLength(), below.maxY - below.minY)
+			+ getStripArea(union.getLength(), below.minY - above.maxY);
+		return {
+			cost: cost,
+			reduction: above.region.getCount() + below.region.getCount() - union.getCount(),
+			union: union
+		};
+	},
+
+	/**
+	 * Determine whether merge 'a' is a better choice than merge 'b':  The best merge adds the
+	 * least area per rectangle it removes, or the least area overall among merges that don't
+	 * remove any rectangles by themselves (but that may let later merges do so).
+	 */
+	isBetterMerge = function(a, b) {
+		if (!b) return true;
+		const aRate = a.reduction > 0 ? a.cost / a.reduction : pInf;
+		const bRate = b.reduction > 0 ? b.cost / b.reduction : pInf;
+		return aRate < bRate || (aRate === bRate && a.cost < b.cost);
+	},
+
+	/**
+	 * Interpret the { maxRects:, maxWastedArea: } options for approximate().  'maxRects' must be
+	 * a positive integer, and defaults to 1, so that given only a 'maxWastedArea', merging goes on
+	 * for as long as that allows.  'maxWastedArea' must be nonnegative, and defaults to infinity.
+	 */
+	getApproximationLimits = function(options) {
+		const maxRects = options && typeof options.maxRects !== 'undefined'
+			? Number(options.maxRects) : 1;
+		if (!(maxRects >= 1) || (maxRects !== pInf && Math.floor(maxRects) !== maxRects))
+			throw new regionError("Maximum number of rectangles must be a positive integer");
+		const maxWastedArea = options && typeof options.maxWastedArea !== 'undefined'
+			? Number(options.maxWastedArea) : pInf;
+		if (!(maxWastedArea >= 0))	// Catches NaNs as well as negatives.
+			throw new regionError("Invalid maximum wasted area");
+		return { maxRects: maxRects, maxWastedArea: maxWastedArea };
+	},
+
+	/**
+	 * Approximate the given region with a superset of it that can be described with no more than
+	 * { maxRects: } rectangles, by greedily filling in whichever gap between two spans in a row,
+	 * or merging whichever pair of neighboring rows, adds the least area per rectangle removed.
+	 * Merging stops as soon as the region is small enough, or just before a merge would make the
+	 * total added area exceed { maxWastedArea: }.  Each merge costs O(n) time, so this is O(k*n)
+	 * for 'k' merges.  Returns { region:, addedArea: }, where 'region' is the resulting data.
+	 */
+	approximateData = function(data, options) {
+		const limits = getApproximationLimits(options);
+
+		const rows = [];
+		for (let i = 0, l = data.array.length; i < l; i++) {
+			const row = data.array[i];
+			rows.push({ region: row.region, minY: row.minY, maxY: row.maxY });
+		}
+
+		// Cache the cheapest merge within each row, and the merge of each row with the next one.
+		const gapMerges = rows.map(findCheapestGapMerge);
+		const rowMerges = [];
+		for (let i = 0; i + 1 < rows.length; i++) {
+			rowMerges.push(findRowMerge(rows[i], rows[i+1]));
+		}
+
+		let count = data.count, addedArea = 0;
+		while (count > limits.maxRects) {
+
+			// Find the best merge of all.
+			let best = null, bestIndex = -1;
+			for (let i = 0, l = rows.length; i < l; i++) {
+				if (gapMerges[i] && isBetterMerge(gapMerges[i], best)) {
+					best = gapMerges[i];
+					bestIndex = i;
+				}
+				if (i < rowMerges.length && isBetterMerge(rowMerges[i], best)) {
+					best = rowMerges[i];
+					bestIndex = i;
+				}
+			}
+			if (!best || addedArea + best.cost > limits.maxWastedArea) break;
+
+			// Apply it, and then update the merges that it affects.
+			const row = rows[bestIndex];
+			if (best.union) {
+				rows.splice(bestIndex, 2, { region: best.union, minY: row.minY, maxY: rows[bestIndex+1].maxY });
+				gapMerges.splice(bestIndex, 2, null);
+				rowMerges.splice(bestIndex, 1);
+			}
+			else {
+				const spans = row.region.getRawSpans();
+				row.region = row.region.union(new Region1D([spans[best.gap], spans[best.gap+1]]));
+			}
+			gapMerges[bestIndex] = findCheapestGapMerge(rows[bestIndex]);
+			if (bestIndex > 0) rowMerges[bestIndex-1] = findRowMerge(rows[bestIndex-1], rows[bestIndex]);
+			if (bestIndex < rowMerges.length) rowMerges[bestIndex] = findRowMerge(rows[bestIndex], rows[bestIndex+1]);
+
+			count -= best.reduction;
+			addedArea += best.cost;
+		}
+
+		// Merges may have left identical rows touching each other, so join those back together.
+		const result = [];
+		for (let i = 0, l = rows.length; i < l; i++) {
+			appendRow(result, rows[i].region, rows[i].minY, rows[i].maxY);
 		}
+
+		return { region: makeDataFromValidRows(result), addedArea: addedArea };
 	},
 
 	//---------------------------------------------------------------------------------------------
@@ -1059,10 +3079,7 @@ const Region2D = (function() {
 			return new Region2D(xorData(data.array, otherData.array), privateKey);
 		},
 		not: function() {
-			// Lazy implementation of 'not': Simply 'xor' with an infinite region.
-			// A better implementation would take advantage of the efficient Region1D#not() method.
-			const data = getData(this), otherData = getData(infinite);
-			return new Region2D(xorData(data.array, otherData.array), privateKey);
+			return new Region2D(notData(getData(this).array), privateKey);
 		},
 		transform: function(scaleX, scaleY, offsetX, offsetY) {
 			const data = getData(this);
@@ -1076,6 +3093,52 @@ const Region2D = (function() {
 			const data = getData(this);
 			return new Region2D(makeDataFromRows(transformData(data.array, scaleX, scaleY, 0, 0)), privateKey);
 		},
+		flipX: function(axis) {
+			const data = getData(this);
+			return new Region2D(makeDataFromRows(transformData(data.array, -1.0, 1.0, 2 * getMirrorAxis(axis), 0)), privateKey);
+		},
+		flipY: function(axis) {
+			const data = getData(this);
+			return new Region2D(makeDataFromRows(transformData(data.array, 1.0, -1.0, 0, 2 * getMirrorAxis(axis))), privateKey);
+		},
+		transpose: function() {
+			return new Region2D(transposeData(getData(this).array), privateKey);
+		},
+		rotate: function(degrees, originX, originY) {
+			const data = getData(this), newData = rotateData(data, degrees, originX, originY);
+			return newData === data ? this : new Region2D(newData, privateKey);
+		},
+		inflate: function(dx, dy) {
+			const data = getData(this), amounts = getInflateAmounts(dx, dy);
+			if (!amounts.left && !amounts.top && !amounts.right && !amounts.bottom)
+				return this;
+			return new Region2D(inflateData(data.array, amounts.left, amounts.top, amounts.right, amounts.bottom), privateKey);
+		},
+		deflate: function(dx, dy) {
+			const data = getData(this), amounts = getInflateAmounts(dx, dy);
+			if (!amounts.left && !amounts.top && !amounts.right && !amounts.bottom)
+				return this;
+			return new Region2D(deflateData(data.array, amounts.left, amounts.top, amounts.right, amounts.bottom), privateKey);
+		},
+		findPlacements: function(width, height) {
+			const size = getPlacementSize(width, height);
+			return new Region2D(deflateData(getData(this).array, 0, 0, size.width, size.height), privateKey);
+		},
+		findFirstPlacement: function(width, height, options) {
+			const size = getPlacementSize(width, height);
+			return findFirstPlacementData(getData(this), size.width, size.height, options);
+		},
+		packRects: function(sizes, options) {
+			const result = packRectsData(getData(this), sizes, options);
+			return { placements: result.placements, leftover: new Region2D(result.leftover, privateKey) };
+		},
+		approximate: function(options) {
+			const result = approximateData(getData(this), options);
+			return {
+				region: !result.addedArea ? this : new Region2D(result.region, privateKey),
+				addedArea: result.addedArea
+			};
+		},
 		isEmpty: function() {
 			return !getData(this).array.length;
 		},
@@ -1092,9 +3155,81 @@ const Region2D = (function() {
 			verifyRegion2DType(other);
 			return doesIntersectData(getData(this), getData(other));
 		},
+		relate: function(other) {
+			verifyRegion2DType(other);
+			return relateData(getData(this), getData(other));
+		},
+		unionRect: function(rect) {
+			const data = getData(this);
+			return new Region2D(combineRectData(data, makeRegionDataFromOneRect(rect), unionData), privateKey);
+		},
+		subtractRect: function(rect) {
+			const data = getData(this), rectData = makeRegionDataFromOneRect(rect);
+			if (!doBoundsOverlap(data, rectData))
+				return this;
+			return new Region2D(combineRectData(data, rectData, subtractData), privateKey);
+		},
+		clip: function(rect) {
+			const data = getData(this), rectData = makeRegionDataFromOneRect(rect);
+			if (rectData.minX <= data.minX && data.maxX <= rectData.maxX
+				&& rectData.minY <= data.minY && data.maxY <= rectData.maxY)
+				return this;
+			return new Region2D(clipData(data, rectData), privateKey);
+		},
+		intersectsRect: function(rect) {
+			return doesIntersectRectData(getData(this), makeRegionDataFromOneRect(rect));
+		},
+		containsRect: function(rect) {
+			return doesContainRectData(getData(this), makeRegionDataFromOneRect(rect));
+		},
 		isPointIn: function(x, y) {
 			return isPointInData(getData(this), Number(x), Number(y));
 		},
+		distanceTo: function(x, y, options) {
+			const nearest = findNearestPointData(getData(this).array,
+				getQueryCoordinate(x), getQueryCoordinate(y), getMetric(options));
+			return nearest ? nearest.distance : pInf;
+		},
+		nearestPoint: function(x, y, options) {
+			const nearest = findNearestPointData(getData(this).array,
+				getQueryCoordinate(x), getQueryCoordinate(y), getMetric(options));
+			return nearest ? { x: nearest.x, y: nearest.y } : null;
+		},
+		getComponents: function(options) {
+			const data = getData(this), connectivity = getConnectivity(options);
+			if (data.count === 1) return [this];
+			const componentsData = makeComponentsData(data.array, connectivity);
+			const result = [];
+			for (let i = 0, l = componentsData.length; i < l; i++) {
+				result.push(new Region2D(componentsData[i], privateKey));
+			}
+			return result;
+		},
+		getComponentCount: function(options) {
+			const data = getData(this), connectivity = getConnectivity(options);
+			if (data.count <= 1) return data.count;
+			return labelComponents(data.array, connectivity).count;
+		},
+		isConnected: function(options) {
+			return isConnectedData(getData(this), getConnectivity(options));
+		},
+		getHoles: function(options) {
+			const holes = findHolesData(getData(this).array, getConnectivity(options));
+			const arrays = [];
+			for (let i = 0, l = holes.length; i < l; i++) {
+				arrays.push(holes[i].array);
+			}
+			return new Region2D(unionManyData(arrays), privateKey);
+		},
+		fillHoles: function(options) {
+			const data = getData(this);
+			const holes = findHolesData(data.array, getConnectivity(options)), maxArea = getMaxArea(options);
+			const arrays = [data.array];
+			for (let i = 0, l = holes.length; i < l; i++) {
+				if (getMeasures(holes[i]).area <= maxArea) arrays.push(holes[i].array);
+			}
+			return arrays.length > 1 ? new Region2D(unionManyData(arrays), privateKey) : this;
+		},
 		equals: function(other) {
 			verifyRegion2DType(other);
 			const data = getData(this), otherData = getData(other);
@@ -1106,8 +3241,33 @@ const Region2D = (function() {
 		getCount: function() {
 			return getData(this).count;
 		},
-		getRects: function() {
-			return makeRects(getData(this).array);
+		getArea: function() {
+			return getMeasures(getData(this)).area;
+		},
+		getPerimeter: function() {
+			return getMeasures(getData(this)).perimeter;
+		},
+		getCentroid: function() {
+			const centroid = getMeasures(getData(this)).centroid;
+			return centroid ? { x: centroid.x, y: centroid.y } : null;
+		},
+		getSecondMoments: function() {
+			const measures = getMeasures(getData(this));
+			return { xx: measures.xx, yy: measures.yy, xy: measures.xy };
+		},
+		getRects: function(options) {
+			const array = getData(this).array;
+			switch (getRectsMode(options)) {
+				case 'merged-vertical': return mergeRowsVertically(array, null, null);
+				case 'minimal': return makeMinimalRects(array);
+				default: return makeRects(array);
+			}
+		},
+		getMaximalRectangles: function() {
+			return findMaximalRectangles(getData(this).array);
+		},
+		getLargestRectangle: function(options) {
+			return findLargestRectangle(getData(this).array, options);
 		},
 		getRawRows: function() {
 			return getRawRows(getData(this).array);
@@ -1115,8 +3275,14 @@ const Region2D = (function() {
 		getBounds: function() {
 			return getBoundsFromData(getData(this));
 		},
-		getPath: function() {
-			return makePath(getData(this).array);
+		getPath: function(options) {
+			const connectivity = getConnectivity(options);
+			if (options && options.nested)
+				return makePolygons(getData(this).array, connectivity);
+			return makePath(getData(this).array, connectivity);
+		},
+		getPolygons: function(options) {
+			return makePolygons(getData(this).array, getConnectivity(options));
 		},
 		getHashCode: function() {
 			return getData(this).hash;
@@ -1135,14 +3301,47 @@ const Region2D = (function() {
 	
 	/**
 	 * Static helper function for creating complex regions from arrays of rectangles.
+	 *
+	 * Rather than unioning the rectangles one at a time (which is quadratic in practice, since
+	 * the accumulated region keeps growing), this unions them in a balanced pairwise fashion,
+	 * so each rectangle takes part in only O(lg n) unions.  The result has exactly the same
+	 * band structure as iteratively unioning all of the rectangles would.
 	 */
 	Region2D.fromRects = function(rects) {
 		if (!rects.length) return empty;
-		let region = new Region2D(rects[0]);
-		for (let i = 1, l = rects.length; i < l; i++) {
-			region = region.union(new Region2D(rects[i]));
+
+		// Make region data for each rectangle, validating each one as we go.
+		let pending = [];
+		for (let i = 0, l = rects.length; i < l; i++) {
+			pending.push(makeRegionDataFromOneRect(rects[i]));
+		}
+
+		// Union adjacent pairs of regions until only one is left.
+		while (pending.length > 1) {
+			const merged = [];
+			for (let i = 0, l = pending.length; i < l; i += 2) {
+				merged.push(i + 1 < l ? unionData(pending[i].array, pending[i+1].array) : pending[i]);
+			}
+			pending = merged;
 		}
-		return region;
+
+		return new Region2D(pending[0], privateKey);
+	};
+
+	/**
+	 * Static helpers for combining many regions at once.  These merge the bands of all of the
+	 * regions in a single k-way sweep, and combine each set of bands with the matching n-ary
+	 * Region1D operation, so none of the intermediate regions that chaining the binary
+	 * operations would produce are ever constructed.
+	 */
+	Region2D.unionAll = function(regions) {
+		return new Region2D(unionManyData(getArraysOfRegion2Ds(regions)), privateKey);
+	};
+	Region2D.intersectAll = function(regions) {
+		return new Region2D(intersectManyData(getArraysOfRegion2Ds(regions)), privateKey);
+	};
+	Region2D.xorAll = function(regions) {
+		return new Region2D(xorManyData(getArraysOfRegion2Ds(regions)), privateKey);
 	};
 
 	/**
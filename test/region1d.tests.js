@@ -517,11 +517,16 @@ describe('Region1D', function() {
 			assert.equal(region.scale(0.0078125).equals(new Region1D([0.0234375, 0.0390625, 0.0625, 0.078125])), true);
 		});
 
-		it('fails for negative numbers', function() {
+		it('can mirror spans with negative numbers', function() {
 			var region = new Region1D([3, 5, 8, 10]);
-			assert.throws(() => region.scale(-1));
-			assert.throws(() => region.scale(-10));
-			assert.throws(() => region.scale(-100));
+			assert.deepEqual(region.scale(-1).getRawSpans(), [-10, -8, -5, -3]);
+			assert.deepEqual(region.scale(-10).getRawSpans(), [-100, -80, -50, -30]);
+			assert.deepEqual(region.scale(-0.5).getRawSpans(), [-5, -4, -2.5, -1.5]);
+		});
+
+		it('fails for zero', function() {
+			var region = new Region1D([3, 5, 8, 10]);
+			assert.throws(() => region.scale(0));
 		});
 
 		it('fails if it loses too much precision', function() {
@@ -555,11 +560,21 @@ describe('Region1D', function() {
 			assert.equal(region.transform(10, -5).equals(new Region1D([25, 45, 75, 95])), true);
 		});
 
-		it('fails for negative scales', function() {
+		it('can mirror spans with negative scales', function() {
+			var region = new Region1D([3, 5, 8, 10]);
+			assert.deepEqual(region.transform(-1, 0.0).getRawSpans(), [-10, -8, -5, -3]);
+			assert.deepEqual(region.transform(-1, 20).getRawSpans(), [10, 12, 15, 17]);
+			assert.deepEqual(region.transform(-10, 100).getRawSpans(), [0, 20, 50, 70]);
+		});
+
+		it('can mirror infinities', function() {
+			var region = new Region1D([Number.NEGATIVE_INFINITY, 5, 8, 10]);
+			assert.deepEqual(region.transform(-1, 0.0).getRawSpans(), [-10, -8, -5, Number.POSITIVE_INFINITY]);
+		});
+
+		it('fails for a zero scale', function() {
 			var region = new Region1D([3, 5, 8, 10]);
-			assert.throws(() => region.transform(-1, 0.0));
-			assert.throws(() => region.transform(-10, 0.0));
-			assert.throws(() => region.transform(-100, 0.0));
+			assert.throws(() => region.transform(0, 0.0));
 		});
 
 		it('fails if it loses too much precision', function() {
@@ -577,6 +592,192 @@ describe('Region1D', function() {
 		});
 	});
 
+	//---------------------------------------------------------------------------------------------
+	// #flipX()
+
+	describe('#flipX()', function() {
+		it('has no effect on an empty region', function() {
+			assert.deepEqual(Region1D.empty.flipX(5).getRawSpans(), []);
+		});
+
+		it('mirrors spans about zero by default', function() {
+			var region = new Region1D([3, 5, 8, 10]);
+			assert.deepEqual(region.flipX().getRawSpans(), [-10, -8, -5, -3]);
+		});
+
+		it('mirrors spans about the given axis', function() {
+			var region = new Region1D([3, 5, 8, 10]);
+			assert.deepEqual(region.flipX(5).getRawSpans(), [0, 2, 5, 7]);
+			assert.equal(region.flipX(5).flipX(5).equals(region), true);
+		});
+
+		it('fails for invalid axes', function() {
+			var region = new Region1D([3, 5, 8, 10]);
+			assert.throws(() => region.flipX("foo"));
+			assert.throws(() => region.flipX({}));
+			assert.throws(() => region.flipX(Number.POSITIVE_INFINITY));
+		});
+	});
+
+	//---------------------------------------------------------------------------------------------
+	// #flipY()
+
+	describe('#flipY()', function() {
+		it('returns the same region, whatever the axis', function() {
+			var region = new Region1D([3, 5, 8, 10]);
+			assert.equal(region.flipY(), region);
+			assert.equal(region.flipY(5), region);
+			assert.equal(Region1D.empty.flipY(5), Region1D.empty);
+		});
+
+		it('fails for invalid axes', function() {
+			var region = new Region1D([3, 5, 8, 10]);
+			assert.throws(() => region.flipY("foo"));
+			assert.throws(() => region.flipY(Number.NaN));
+			assert.throws(() => region.flipY(Number.POSITIVE_INFINITY));
+		});
+	});
+
+	//---------------------------------------------------------------------------------------------
+	// #grow() / #shrink() / #closeGaps() / #removeSpansShorterThan()
+
+	describe('#grow()', function() {
+		it('has no effect on an empty region', function() {
+			assert.deepEqual(Region1D.empty.grow(5, 5).getRawSpans(), []);
+		});
+
+		it('extends each span by the given amounts', function() {
+			var region = new Region1D([10, 20, 30, 40]);
+			assert.deepEqual(region.grow(1, 2).getRawSpans(), [9, 22, 29, 42]);
+			assert.deepEqual(region.grow(3).getRawSpans(), [7, 23, 27, 43]);
+		});
+
+		it('merges spans that come to touch or overlap', function() {
+			var region = new Region1D([10, 20, 25, 30, 40, 50]);
+			assert.deepEqual(region.grow(0, 5).getRawSpans(), [10, 35, 40, 55]);
+			assert.deepEqual(region.grow(10, 10).getRawSpans(), [0, 60]);
+		});
+
+		it('can handle infinities', function() {
+			var region = new Region1D([Number.NEGATIVE_INFINITY, 5, 10, Number.POSITIVE_INFINITY]);
+			assert.deepEqual(region.grow(1, 1).getRawSpans(), [Number.NEGATIVE_INFINITY, 6, 9, Number.POSITIVE_INFINITY]);
+			assert.deepEqual(region.grow(3, 3).getRawSpans(), [Number.NEGATIVE_INFINITY, Number.POSITIVE_INFINITY]);
+		});
+
+		it('fails for infinite or non-numeric amounts', function() {
+			var region = new Region1D([10, 20]);
+			assert.throws(() => region.grow(Number.POSITIVE_INFINITY, 0));
+			assert.throws(() => region.grow("foo", 0));
+		});
+	});
+
+	describe('#shrink()', function() {
+		it('retracts each span by the given amounts', function() {
+			var region = new Region1D([10, 20, 30, 40]);
+			assert.deepEqual(region.shrink(1, 2).getRawSpans(), [11, 18, 31, 38]);
+			assert.deepEqual(region.shrink(3).getRawSpans(), [13, 17, 33, 37]);
+		});
+
+		it('removes spans that vanish', function() {
+			var region = new Region1D([10, 20, 25, 27, 40, 50]);
+			assert.deepEqual(region.shrink(1, 1).getRawSpans(), [11, 19, 41, 49]);
+			assert.deepEqual(region.shrink(5, 5).getRawSpans(), []);
+		});
+
+		it('can handle infinities', function() {
+			var region = new Region1D([Number.NEGATIVE_INFINITY, 5, 10, Number.POSITIVE_INFINITY]);
+			assert.deepEqual(region.shrink(1, 1).getRawSpans(), [Number.NEGATIVE_INFINITY, 4, 11, Number.POSITIVE_INFINITY]);
+		});
+	});
+
+	describe('#closeGaps()', function() {
+		it('has no effect on an empty region', function() {
+			assert.deepEqual(Region1D.empty.closeGaps(5).getRawSpans(), []);
+		});
+
+		it('fills in only the gaps that are short enough', function() {
+			var region = new Region1D([10, 20, 22, 30, 35, 40, 50, 60]);
+			assert.deepEqual(region.closeGaps(0).getRawSpans(), [10, 20, 22, 30, 35, 40, 50, 60]);
+			assert.deepEqual(region.closeGaps(2).getRawSpans(), [10, 30, 35, 40, 50, 60]);
+			assert.deepEqual(region.closeGaps(5).getRawSpans(), [10, 40, 50, 60]);
+			assert.deepEqual(region.closeGaps(Number.POSITIVE_INFINITY).getRawSpans(), [10, 60]);
+		});
+
+		it('never fills in the areas outside the spans', function() {
+			var region = new Region1D([Number.NEGATIVE_INFINITY, 5, 10, 20]);
+			assert.deepEqual(region.closeGaps(5).getRawSpans(), [Number.NEGATIVE_INFINITY, 20]);
+		});
+
+		it('fails for negative or non-numeric gap lengths', function() {
+			var region = new Region1D([10, 20]);
+			assert.throws(() => region.closeGaps(-1));
+			assert.throws(() => region.closeGaps("foo"));
+		});
+	});
+
+	describe('#removeSpansShorterThan()', function() {
+		it('has no effect on an empty region', function() {
+			assert.deepEqual(Region1D.empty.removeSpansShorterThan(5).getRawSpans(), []);
+		});
+
+		it('removes only the spans that are too short', function() {
+			var region = new Region1D([10, 20, 22, 23, 35, 40, 50, 60]);
+			assert.deepEqual(region.removeSpansShorterThan(1).getRawSpans(), [10, 20, 22, 23, 35, 40, 50, 60]);
+			assert.deepEqual(region.removeSpansShorterThan(2).getRawSpans(), [10, 20, 35, 40, 50, 60]);
+			assert.deepEqual(region.removeSpansShorterThan(10).getRawSpans(), [10, 20, 50, 60]);
+			assert.deepEqual(region.removeSpansShorterThan(11).getRawSpans(), []);
+		});
+
+		it('never removes infinite spans', function() {
+			var region = new Region1D([Number.NEGATIVE_INFINITY, 5, 10, 12]);
+			assert.deepEqual(region.removeSpansShorterThan(Number.POSITIVE_INFINITY).getRawSpans(), [Number.NEGATIVE_INFINITY, 5]);
+		});
+
+		it('fails for negative or non-numeric lengths', function() {
+			var region = new Region1D([10, 20]);
+			assert.throws(() => region.removeSpansShorterThan(-1));
+			assert.throws(() => region.removeSpansShorterThan("foo"));
+		});
+	});
+
+	//---------------------------------------------------------------------------------------------
+	// #clip()
+
+	describe('#clip()', function() {
+		it('has no effect on an empty region', function() {
+			assert.deepEqual(Region1D.empty.clip(0, 10).getRawSpans(), []);
+		});
+
+		it('keeps only the parts of spans within the range', function() {
+			var region = new Region1D([10, 20, 22, 23, 35, 40, 50, 60]);
+			assert.deepEqual(region.clip(15, 55).getRawSpans(), [15, 20, 22, 23, 35, 40, 50, 55]);
+			assert.deepEqual(region.clip(20, 35).getRawSpans(), [22, 23]);
+			assert.deepEqual(region.clip(21, 38).getRawSpans(), [22, 23, 35, 38]);
+			assert.deepEqual(region.clip(0, 10).getRawSpans(), []);
+			assert.deepEqual(region.clip(60, 70).getRawSpans(), []);
+			assert.deepEqual(region.clip(12, 14).getRawSpans(), [12, 14]);
+		});
+
+		it('returns the same region if it lies entirely within the range', function() {
+			var region = new Region1D([10, 20, 22, 23]);
+			assert.equal(region.clip(10, 23), region);
+			assert.equal(region.clip(Number.NEGATIVE_INFINITY, Number.POSITIVE_INFINITY), region);
+		});
+
+		it('clips infinite spans', function() {
+			var region = new Region1D([Number.NEGATIVE_INFINITY, 5, 10, Number.POSITIVE_INFINITY]);
+			assert.deepEqual(region.clip(0, 20).getRawSpans(), [0, 5, 10, 20]);
+			assert.deepEqual(region.clip(Number.NEGATIVE_INFINITY, 7).getRawSpans(), [Number.NEGATIVE_INFINITY, 5]);
+		});
+
+		it('fails for empty or non-numeric ranges', function() {
+			var region = new Region1D([10, 20]);
+			assert.throws(() => region.clip(5, 5));
+			assert.throws(() => region.clip(6, 5));
+			assert.throws(() => region.clip("foo", 5));
+		});
+	});
+
 	//---------------------------------------------------------------------------------------------
 	// #isEmpty()
 
@@ -655,6 +856,191 @@ describe('Region1D', function() {
 		});
 	});
 
+	//---------------------------------------------------------------------------------------------
+	// #findSpanAt() / #nextSpanAfter() / #previousSpanBefore() / #gapAt() / #distanceTo()
+
+	describe('#findSpanAt() / #nextSpanAfter() / #previousSpanBefore() / #gapAt() / #distanceTo()', function() {
+		var pInf = Number.POSITIVE_INFINITY, nInf = Number.NEGATIVE_INFINITY;
+
+		//     #####  ####      ###########
+		//  |----+----|----+----|----+----|----+----|
+		// 0     5   10   15   20   25   30   35   40
+		var region = new Region1D([3, 8, 10, 14, 20, 31]);
+
+		it('finds nothing useful in an empty region', function() {
+			var a = new Region1D([]);
+			assert.equal(a.findSpanAt(5), null);
+			assert.equal(a.nextSpanAfter(5), null);
+			assert.equal(a.previousSpanBefore(5), null);
+			assert.deepEqual(a.gapAt(5), { min: nInf, max: pInf });
+			assert.equal(a.distanceTo(5), pInf);
+		});
+
+		it('finds the span containing a point', function() {
+			assert.equal(region.findSpanAt(2), null);
+			assert.deepEqual(region.findSpanAt(3), { min: 3, max: 8 });
+			assert.deepEqual(region.findSpanAt(7.5), { min: 3, max: 8 });
+			assert.equal(region.findSpanAt(8), null);
+			assert.deepEqual(region.findSpanAt(10), { min: 10, max: 14 });
+			assert.deepEqual(region.findSpanAt(30), { min: 20, max: 31 });
+			assert.equal(region.findSpanAt(31), null);
+		});
+
+		it('finds the next span after a point', function() {
+			assert.deepEqual(region.nextSpanAfter(0), { min: 3, max: 8 });
+			assert.deepEqual(region.nextSpanAfter(3), { min: 10, max: 14 });
+			assert.deepEqual(region.nextSpanAfter(8), { min: 10, max: 14 });
+			assert.deepEqual(region.nextSpanAfter(15), { min: 20, max: 31 });
+			assert.equal(region.nextSpanAfter(20), null);
+			assert.equal(region.nextSpanAfter(40), null);
+		});
+
+		it('finds the previous span before a point', function() {
+			assert.equal(region.previousSpanBefore(0), null);
+			assert.equal(region.previousSpanBefore(5), null);
+			assert.deepEqual(region.previousSpanBefore(8), { min: 3, max: 8 });
+			assert.deepEqual(region.previousSpanBefore(12), { min: 3, max: 8 });
+			assert.deepEqual(region.previousSpanBefore(14), { min: 10, max: 14 });
+			assert.deepEqual(region.previousSpanBefore(40), { min: 20, max: 31 });
+		});
+
+		it('finds the gap containing a point', function() {
+			assert.deepEqual(region.gapAt(0), { min: nInf, max: 3 });
+			assert.equal(region.gapAt(3), null);
+			assert.deepEqual(region.gapAt(8), { min: 8, max: 10 });
+			assert.deepEqual(region.gapAt(17), { min: 14, max: 20 });
+			assert.equal(region.gapAt(25), null);
+			assert.deepEqual(region.gapAt(31), { min: 31, max: pInf });
+		});
+
+		it('measures the distance from a point to the nearest span', function() {
+			assert.equal(region.distanceTo(0), 3);
+			assert.equal(region.distanceTo(5), 0);
+			assert.equal(region.distanceTo(8), 0);
+			assert.equal(region.distanceTo(9), 1);
+			assert.equal(region.distanceTo(16), 2);
+			assert.equal(region.distanceTo(40), 9);
+		});
+
+		it('handles spans that reach infinity', function() {
+			var a = new Region1D([nInf, 5, 10, pInf]);
+			assert.deepEqual(a.findSpanAt(-1000), { min: nInf, max: 5 });
+			assert.deepEqual(a.nextSpanAfter(-1000), { min: 10, max: pInf });
+			assert.deepEqual(a.previousSpanBefore(7), { min: nInf, max: 5 });
+			assert.deepEqual(a.gapAt(7), { min: 5, max: 10 });
+			assert.equal(a.distanceTo(7), 2);
+			assert.equal(a.distanceTo(1000), 0);
+		});
+
+		it('agrees with a linear search over many spans', function() {
+			var spans = [];
+			for (var i = 0; i < 50; i++) spans.push(i * 4, i * 4 + 1 + (i % 3));
+			var a = new Region1D(spans);
+			for (var x = -2; x < 205; x += 0.5) {
+				var expectedSpan = null, expectedNext = null, expectedPrev = null, expectedDistance = pInf;
+				for (var j = 0; j < spans.length; j += 2) {
+					var span = { min: spans[j], max: spans[j+1] };
+					if (x >= span.min && x < span.max) expectedSpan = span;
+					if (span.min > x && !expectedNext) expectedNext = span;
+					if (span.max <= x) expectedPrev = span;
+					expectedDistance = Math.min(expectedDistance, Math.max(span.min - x, 0, x - span.max));
+				}
+				assert.deepEqual(a.findSpanAt(x), expectedSpan);
+				assert.deepEqual(a.nextSpanAfter(x), expectedNext);
+				assert.deepEqual(a.previousSpanBefore(x), expectedPrev);
+				assert.equal(!a.gapAt(x), !!expectedSpan);
+				assert.equal(a.distanceTo(x), expectedDistance);
+			}
+		});
+	});
+
+	//---------------------------------------------------------------------------------------------
+	// #findFirstFit() / #findBestFit()
+
+	describe('#findFirstFit() / #findBestFit()', function() {
+		//     #####  ####      ###########       ####
+		//  |----+----|----+----|----+----|----+----|----+----|
+		// 0     5   10   15   20   25   30   35   40   45   50
+		var region = new Region1D([3, 8, 10, 14, 20, 31, 38, 42]);
+
+		it('finds nothing in an empty region', function() {
+			assert.equal(Region1D.empty.findFirstFit(1), null);
+			assert.equal(Region1D.empty.findBestFit(1), null);
+		});
+
+		it('finds the earliest span that is long enough', function() {
+			assert.equal(region.findFirstFit(1), 3);
+			assert.equal(region.findFirstFit(5), 3);
+			assert.equal(region.findFirstFit(6), 20);
+			assert.equal(region.findFirstFit(11), 20);
+			assert.equal(region.findFirstFit(12), null);
+		});
+
+		it('starts no earlier than the given starting point', function() {
+			assert.equal(region.findFirstFit(3, { from: 0 }), 3);
+			assert.equal(region.findFirstFit(3, { from: 4 }), 4);
+			assert.equal(region.findFirstFit(3, { from: 6 }), 10);
+			assert.equal(region.findFirstFit(3, { from: 12 }), 20);
+			assert.equal(region.findFirstFit(3, { from: 29 }), 38);
+			assert.equal(region.findFirstFit(3, { from: 40 }), null);
+		});
+
+		it('starts only at multiples of the given alignment', function() {
+			assert.equal(region.findFirstFit(4, { alignment: 4 }), 4);
+			assert.equal(region.findFirstFit(5, { alignment: 4 }), 20);
+			assert.equal(region.findFirstFit(4, { alignment: 8 }), 24);
+			assert.equal(region.findFirstFit(4, { alignment: 2, from: 29 }), 38);
+			assert.equal(region.findFirstFit(9, { alignment: 7 }), 21);
+			assert.equal(region.findFirstFit(11, { alignment: 7 }), null);
+		});
+
+		it('finds the smallest span that is long enough', function() {
+			assert.equal(region.findBestFit(1), 10);
+			assert.equal(region.findBestFit(4), 10);
+			assert.equal(region.findBestFit(5), 3);
+			assert.equal(region.findBestFit(6), 20);
+			assert.equal(region.findBestFit(12), null);
+			assert.equal(region.findBestFit(4, { from: 11 }), 38);
+			assert.equal(region.findBestFit(2, { alignment: 8 }), 40);
+		});
+
+		it('measures only the room left after the starting point', function() {
+			var a = new Region1D([0, 100, 200, 250]);
+			assert.equal(a.findBestFit(5), 200);
+			assert.equal(a.findBestFit(5, { from: 94 }), 94);
+			assert.equal(a.findBestFit(5, { from: 94, alignment: 4 }), 200);
+			assert.equal(a.findBestFit(5, { from: 60 }), 60);
+			assert.equal(a.findBestFit(5, { from: 40 }), 200);
+		});
+
+		it('fits within spans that reach infinity', function() {
+			var a = new Region1D([Number.NEGATIVE_INFINITY, 5, 10, 12, 20, Number.POSITIVE_INFINITY]);
+			assert.equal(a.findFirstFit(100, { from: 0 }), 20);
+			assert.equal(a.findFirstFit(3, { from: 0 }), 0);
+			assert.equal(a.findBestFit(2), 10);
+			assert.equal(a.findBestFit(3, { from: 0 }), 0);
+		});
+
+		it('fails for fits with no earliest start', function() {
+			var a = new Region1D([Number.NEGATIVE_INFINITY, 5, 10, 12]);
+			assert.throws(function() { a.findFirstFit(1); });
+			assert.throws(function() { a.findFirstFit(1, { alignment: 4 }); });
+			assert.throws(function() { a.findBestFit(3); });
+			assert.equal(a.findBestFit(2), 10);
+			assert.equal(a.findFirstFit(1, { from: -100 }), -100);
+			assert.equal(a.findFirstFit(3, { from: 4 }), null);
+		});
+
+		it('rejects invalid lengths and options', function() {
+			assert.throws(function() { region.findFirstFit(0); });
+			assert.throws(function() { region.findFirstFit(-1); });
+			assert.throws(function() { region.findFirstFit('abc'); });
+			assert.throws(function() { region.findFirstFit(1, { from: 'abc' }); });
+			assert.throws(function() { region.findFirstFit(1, { alignment: -1 }); });
+			assert.throws(function() { region.findBestFit(1, { alignment: Number.POSITIVE_INFINITY }); });
+		});
+	});
+
 	//---------------------------------------------------------------------------------------------
 	// #doesIntersect()
 
@@ -797,6 +1183,60 @@ describe('Region1D', function() {
 		});
 	});
 
+	//---------------------------------------------------------------------------------------------
+	// Region1D.unionAll() / intersectAll() / xorAll()
+
+	describe('Region1D.unionAll()', function() {
+		it('produces an empty region from no regions', function() {
+			assert.deepEqual(Region1D.unionAll([]).getRawSpans(), []);
+		});
+
+		it('produces the same result as chained unions', function() {
+			var a = new Region1D([1, 5, 10, 15, 20, 25]);
+			var b = new Region1D([3, 11, 14, 16]);
+			var c = new Region1D([Number.NEGATIVE_INFINITY, 0, 25, 30, 40, Number.POSITIVE_INFINITY]);
+			var result = Region1D.unionAll([a, b, Region1D.empty, c]);
+			assert.deepEqual(result.getRawSpans(), [Number.NEGATIVE_INFINITY, 0, 1, 16, 20, 30, 40, Number.POSITIVE_INFINITY]);
+			assert.equal(result.equals(a.union(b).union(c)), true);
+		});
+
+		it('disallows non-Region1D inputs', function() {
+			assert.throws(function() { Region1D.unionAll([new Region1D([1, 2]), [3, 4]]); });
+			assert.throws(function() { Region1D.unionAll(new Region1D([1, 2])); });
+		});
+	});
+
+	describe('Region1D.intersectAll()', function() {
+		it('produces an empty region from no regions', function() {
+			assert.deepEqual(Region1D.intersectAll([]).getRawSpans(), []);
+		});
+
+		it('produces an empty region when any region is empty', function() {
+			var a = new Region1D([1, 5, 10, 15, 20, 25]);
+			assert.deepEqual(Region1D.intersectAll([a, a, Region1D.empty]).getRawSpans(), []);
+		});
+
+		it('produces the same result as chained intersections', function() {
+			var a = new Region1D([1, 5, 10, 15, 20, 25]);
+			var b = new Region1D([3, 11, 14, 22]);
+			var c = new Region1D([Number.NEGATIVE_INFINITY, 4, 10, Number.POSITIVE_INFINITY]);
+			var result = Region1D.intersectAll([a, b, c]);
+			assert.deepEqual(result.getRawSpans(), [3, 4, 10, 11, 14, 15, 20, 22]);
+			assert.equal(result.equals(a.intersect(b).intersect(c)), true);
+		});
+	});
+
+	describe('Region1D.xorAll()', function() {
+		it('produces the same result as chained exclusive-ors', function() {
+			var a = new Region1D([1, 5, 10, 15, 20, 25]);
+			var b = new Region1D([3, 11, 14, 22]);
+			var c = new Region1D([Number.NEGATIVE_INFINITY, 4, 10, Number.POSITIVE_INFINITY]);
+			var result = Region1D.xorAll([a, b, c]);
+			assert.deepEqual(result.getRawSpans(), [Number.NEGATIVE_INFINITY, 1, 3, 4, 5, 11, 14, 15, 20, 22, 25, Number.POSITIVE_INFINITY]);
+			assert.equal(result.equals(a.xor(b).xor(c)), true);
+		});
+	});
+
 	//---------------------------------------------------------------------------------------------
 	// #equals()
 
@@ -988,6 +1428,59 @@ describe('Region1D', function() {
 		});
 	});
 
+	//---------------------------------------------------------------------------------------------
+	// #getLength() / #getGapLength() / #getLongestSpan() / #getLongestGap()
+
+	describe('#getLength() / #getGapLength() / #getLongestSpan() / #getLongestGap()', function() {
+		it('measures nothing in an empty region', function() {
+			assert.equal(Region1D.empty.getLength(), 0);
+			assert.equal(Region1D.empty.getGapLength(), 0);
+			assert.equal(Region1D.empty.getLongestSpan(), null);
+			assert.equal(Region1D.empty.getLongestGap(), null);
+		});
+
+		it('measures a single span, which has no gaps', function() {
+			var region = new Region1D([3, 8]);
+			assert.equal(region.getLength(), 5);
+			assert.equal(region.getGapLength(), 0);
+			assert.deepEqual(region.getLongestSpan(), { min: 3, max: 8 });
+			assert.equal(region.getLongestGap(), null);
+		});
+
+		it('measures many spans and the gaps between them', function() {
+			//           #####  ####      ###########       ####     #
+			//        |----+----|----+----|----+----|----+----|----+----|
+			//       0     5   10   15   20   25   30   35   40   45   50
+			var region = new Region1D([3, 8, 10, 14, 20, 31, 38, 42, 47, 48]);
+			assert.equal(region.getLength(), 5 + 4 + 11 + 4 + 1);
+			assert.equal(region.getGapLength(), 2 + 6 + 7 + 5);
+			assert.deepEqual(region.getLongestSpan(), { min: 20, max: 31 });
+			assert.deepEqual(region.getLongestGap(), { min: 31, max: 38 });
+		});
+
+		it('picks the first of several equally long spans or gaps', function() {
+			var region = new Region1D([1, 3, 5, 7, 9, 11]);
+			assert.deepEqual(region.getLongestSpan(), { min: 1, max: 3 });
+			assert.deepEqual(region.getLongestGap(), { min: 3, max: 5 });
+		});
+
+		it('measures infinite spans as infinite, but their gaps as finite', function() {
+			var region = new Region1D([Number.NEGATIVE_INFINITY, 5, 10, 12, 20, Number.POSITIVE_INFINITY]);
+			assert.equal(region.getLength(), Number.POSITIVE_INFINITY);
+			assert.equal(region.getGapLength(), 13);
+			assert.deepEqual(region.getLongestSpan(), { min: Number.NEGATIVE_INFINITY, max: 5 });
+			assert.deepEqual(region.getLongestGap(), { min: 12, max: 20 });
+		});
+
+		it('returns copies of its cached spans', function() {
+			var region = new Region1D([3, 8, 10, 11]);
+			region.getLongestSpan().min = 100;
+			region.getLongestGap().min = 100;
+			assert.deepEqual(region.getLongestSpan(), { min: 3, max: 8 });
+			assert.deepEqual(region.getLongestGap(), { min: 8, max: 10 });
+		});
+	});
+
 	//---------------------------------------------------------------------------------------------
 	// #getHashCode()
 
@@ -32,6 +32,17 @@ var
 		}
 		return result;
 	},
+
+	/**
+	 * Construct a repeatable pseudorandom number generator from the given seed, for the
+	 * randomized tests.  Returns a function that yields integers in the range [0, max).
+	 */
+	makeRandom = function(seed) {
+		return function(max) {
+			seed = (Math.imul(seed, 1103515245) + 12345) & 0x7FFFFFFF;
+			return seed % max;
+		};
+	},
 	
 	nInf = Number.NEGATIVE_INFINITY,
 	pInf = Number.POSITIVE_INFINITY;
@@ -923,6 +934,24 @@ describe('Region2D', function() {
 				3, 6, 7, 8
 			]));
 		});
+
+		it('produces the same result as an exclusive-or with the infinite region', function() {
+			var regions = [
+				Region2D.fromRects([[1, 2, 5, 6], [3, 4, 7, 8], [1, 10, 3, 12], [1, 14, 5, 16]]),
+				Region2D.fromRects([[nInf, 2, pInf, 4], [1, 4, 3, 6], [nInf, 6, pInf, 8]]),
+				Region2D.fromRects([[nInf, nInf, 0, 0], [0, 0, pInf, pInf]]),
+				new Region2D([nInf, 1, pInf, 2])
+			];
+			for (var i = 0; i < regions.length; i++) {
+				var expected = regions[i].xor(Region2D.infinite);
+				var actual = regions[i].not();
+				assert.equal(actual.equals(expected), true);
+				assert.deepEqual(actual.getRects(), expected.getRects());
+				assert.deepEqual(actual.getBounds(), expected.getBounds());
+				assert.equal(actual.getCount(), expected.getCount());
+				assert.equal(actual.not().equals(regions[i]), true);
+			}
+		});
 	});
 
 
@@ -944,13 +973,42 @@ describe('Region2D', function() {
 			assert.deepEqual(region.transform(0.5, 0.25, -1, -1).getRects(), makeRects([-0.5, -0.5, 0.5, 0]));
 		});
 
-		it('fails with negative scaling numbers or zero', function() {
+		it('can mirror a simple rectangle with negative scaling numbers', function() {
+			var region = new Region2D([1, 2, 3, 4]);
+			assert.deepEqual(region.transform(-2, 1, 2, 3).getRects(), makeRects([-4, 5, 0, 7]));
+			assert.deepEqual(region.transform(1, -2, 2, 3).getRects(), makeRects([3, -5, 5, -1]));
+			assert.deepEqual(region.transform(-1, -1, 0, 0).getRects(), makeRects([-3, -4, -1, -2]));
+		});
+
+		it('can mirror a complex region made from multiple rectangles', function() {
+			//   1234567
+			// 1
+			// 2 BBBB
+			// 3 BBBB
+			// 4 BB**AA
+			// 5 BB**AA
+			// 6   AAAA
+			// 7   AAAA
+			// 8
+			var region = Region2D.fromRects([
+				[ 3, 4, 7, 8 ],
+				[ 1, 2, 5, 6 ],
+			]);
+			assert.deepEqual(region.transform(-1, -1, 8, 10).getRects(), makeRects([
+				1, 2, 5, 4,
+				1, 4, 7, 6,
+				3, 6, 7, 8
+			]));
+			assert.deepEqual(region.transform(1, -1, 0, 10).getRects(), makeRects([
+				3, 2, 7, 4,
+				1, 4, 7, 6,
+				1, 6, 5, 8
+			]));
+		});
+
+		it('fails with a zero scale', function() {
 			var region = new Region2D([1, 2, 3, 4]);
-			assert.throws(function() { region.transform(-2, 1, 2, 3); });
-			assert.throws(function() { region.transform(-10, 1, 2, 3); });
 			assert.throws(function() { region.transform(0, 1, 2, 3); });
-			assert.throws(function() { region.transform(1, -2, 2, 3); });
-			assert.throws(function() { region.transform(1, -10, 2, 3); });
 			assert.throws(function() { region.transform(1, 0, 2, 3); });
 		});
 
@@ -1061,13 +1119,15 @@ describe('Region2D', function() {
 			assert.deepEqual(region.scale(0.5, 0.25).getRects(), makeRects([0.5, 0.5, 1.5, 1]));
 		});
 
-		it('fails with negative numbers or zero', function() {
+		it('can mirror a simple rectangle with negative numbers', function() {
+			var region = new Region2D([1, 2, 3, 4]);
+			assert.deepEqual(region.scale(-2, 1).getRects(), makeRects([-6, 2, -2, 4]));
+			assert.deepEqual(region.scale(1, -10).getRects(), makeRects([1, -40, 3, -20]));
+		});
+
+		it('fails with zero', function() {
 			var region = new Region2D([1, 2, 3, 4]);
-			assert.throws(function() { region.scale(-2, 1); });
-			assert.throws(function() { region.scale(-10, 1); });
 			assert.throws(function() { region.scale(0, 1); });
-			assert.throws(function() { region.scale(1, -2); });
-			assert.throws(function() { region.scale(1, -10); });
 			assert.throws(function() { region.scale(1, 0); });
 		});
 
@@ -1103,6 +1163,325 @@ describe('Region2D', function() {
 		});
 	});
 
+	//---------------------------------------------------------------------------------------------
+	// Region2D.flipX() / flipY()
+
+	describe('Region2D.flipX()', function() {
+		it('does nothing to an empty region', function() {
+			assert.equal(Region2D.empty.flipX(10).isEmpty(), true);
+		});
+
+		it('mirrors a complex region left-to-right about the given axis', function() {
+			var region = Region2D.fromRects([
+				[ 3, 4, 7, 8 ],
+				[ 1, 2, 5, 6 ],
+			]);
+			assert.deepEqual(region.flipX(4).getRects(), makeRects([
+				3, 2, 7, 4,
+				1, 4, 7, 6,
+				1, 6, 5, 8
+			]));
+			assert.equal(region.flipX(4).flipX(4).equals(region), true);
+			assert.equal(region.flipX().equals(region.scale(-1, 1)), true);
+		});
+
+		it('mirrors infinite regions', function() {
+			var region = new Region2D([nInf, 2, 5, pInf]);
+			assert.deepEqual(region.flipX().getRects(), makeRects([-5, 2, pInf, pInf]));
+		});
+
+		it('fails for invalid axes', function() {
+			var region = new Region2D([1, 2, 5, 6]);
+			assert.throws(function() { region.flipX('foo'); });
+			assert.throws(function() { region.flipX({}); });
+			assert.throws(function() { region.flipX(pInf); });
+		});
+	});
+
+	describe('Region2D.flipY()', function() {
+		it('does nothing to an empty region', function() {
+			assert.equal(Region2D.empty.flipY(10).isEmpty(), true);
+		});
+
+		it('mirrors a complex region top-to-bottom about the given axis', function() {
+			var region = Region2D.fromRects([
+				[ 3, 4, 7, 8 ],
+				[ 1, 2, 5, 6 ],
+			]);
+			assert.deepEqual(region.flipY(5).getRects(), makeRects([
+				3, 2, 7, 4,
+				1, 4, 7, 6,
+				1, 6, 5, 8
+			]));
+			assert.equal(region.flipY(5).flipY(5).equals(region), true);
+			assert.equal(region.flipY().equals(region.scale(1, -1)), true);
+		});
+
+		it('mirrors infinite regions', function() {
+			var region = new Region2D([nInf, 2, 5, pInf]);
+			assert.deepEqual(region.flipY().getRects(), makeRects([nInf, nInf, 5, -2]));
+		});
+
+		it('fails for invalid axes', function() {
+			var region = new Region2D([1, 2, 5, 6]);
+			assert.throws(function() { region.flipY('foo'); });
+			assert.throws(function() { region.flipY({}); });
+			assert.throws(function() { region.flipY(nInf); });
+		});
+	});
+
+	//---------------------------------------------------------------------------------------------
+	// Region2D.transpose() / rotate()
+
+	describe('Region2D.transpose()', function() {
+		var region = Region2D.fromRects([
+			[ 3, 4, 7, 8 ],
+			[ 1, 2, 5, 6 ],
+			[ 9, 1, 12, 3 ],
+			[ 10, 3, 11, 9 ],
+			[ 2, 10, 12, 11 ],
+		]);
+
+		it('does nothing to an empty region', function() {
+			assert.equal(Region2D.empty.transpose().isEmpty(), true);
+		});
+
+		it('swaps the coordinates of a simple rectangle', function() {
+			assert.deepEqual(new Region2D([1, 2, 3, 4]).transpose().getRects(), makeRects([2, 1, 4, 3]));
+		});
+
+		it('re-bands a complex region into columns', function() {
+			//   1234567
+			// 1
+			// 2 BBBB
+			// 3 BBBB
+			// 4 BB**AA
+			// 5 BB**AA
+			// 6   AAAA
+			// 7   AAAA
+			// 8
+			var simple = Region2D.fromRects([
+				[ 3, 4, 7, 8 ],
+				[ 1, 2, 5, 6 ],
+			]);
+			assert.deepEqual(simple.transpose().getRects(), makeRects([
+				2, 1, 6, 3,
+				2, 3, 8, 5,
+				4, 5, 8, 7
+			]));
+		});
+
+		it('agrees with point-membership checks of the original region', function() {
+			var transposed = region.transpose();
+			for (var y = 0; y < 13; y += 0.5) {
+				for (var x = 0; x < 13; x += 0.5) {
+					assert.equal(transposed.isPointIn(y, x), region.isPointIn(x, y), "at (" + x + ", " + y + ")");
+				}
+			}
+		});
+
+		it('produces a valid region identical to one built from swapped rectangles', function() {
+			var rects = region.getRects();
+			var swapped = [];
+			for (var i = 0; i < rects.length; i++) {
+				swapped.push([rects[i].top, rects[i].left, rects[i].bottom, rects[i].right]);
+			}
+			assert.equal(region.transpose().equals(Region2D.fromRects(swapped)), true);
+			assert.equal(region.transpose().transpose().equals(region), true);
+		});
+
+		it('can transpose infinite regions', function() {
+			var infiniteRegion = Region2D.fromRects([[nInf, 2, 5, pInf], [7, nInf, 8, 1]]);
+			var transposed = infiniteRegion.transpose();
+			assert.equal(transposed.transpose().equals(infiniteRegion), true);
+			assert.equal(Region2D.infinite.transpose().equals(Region2D.infinite), true);
+		});
+	});
+
+	describe('Region2D.rotate()', function() {
+		var region = Region2D.fromRects([
+			[ 3, 4, 7, 8 ],
+			[ 1, 2, 5, 6 ],
+			[ 9, 1, 12, 3 ],
+		]);
+
+		it('returns the same region for whole turns', function() {
+			assert.equal(region.rotate(0), region);
+			assert.equal(region.rotate(360, 5, 5), region);
+			assert.equal(region.rotate(-720, 5, 5), region);
+		});
+
+		it('rotates a simple rectangle clockwise about a point', function() {
+			var rect = new Region2D([1, 2, 3, 4]);
+			assert.deepEqual(rect.rotate(90).getRects(), makeRects([-4, 1, -2, 3]));
+			assert.deepEqual(rect.rotate(180).getRects(), makeRects([-3, -4, -1, -2]));
+			assert.deepEqual(rect.rotate(270).getRects(), makeRects([2, -3, 4, -1]));
+			assert.deepEqual(rect.rotate(-90).getRects(), makeRects([2, -3, 4, -1]));
+			assert.deepEqual(rect.rotate(90, 2, 3).getRects(), makeRects([1, 2, 3, 4]));
+			assert.deepEqual(rect.rotate(90, 10, 20).getRects(), makeRects([26, 11, 28, 13]));
+		});
+
+		it('agrees with point-membership checks of the original region', function() {
+			var cx = 4, cy = 6;
+			var r90 = region.rotate(90, cx, cy), r180 = region.rotate(180, cx, cy), r270 = region.rotate(270, cx, cy);
+			for (var y = 0; y < 13; y += 0.5) {
+				for (var x = 0; x < 13; x += 0.5) {
+					// Test the centers of half-unit cells, to stay clear of the [min, max) edges.
+					var px = x + 0.25, py = y + 0.25, dx = px - cx, dy = py - cy;
+					var expected = region.isPointIn(px, py);
+					assert.equal(r90.isPointIn(cx - dy, cy + dx), expected);
+					assert.equal(r180.isPointIn(cx - dx, cy - dy), expected);
+					assert.equal(r270.isPointIn(cx + dy, cy - dx), expected);
+				}
+			}
+		});
+
+		it('returns to the original region after four quarter-turns', function() {
+			assert.equal(region.rotate(90, 3, 7).rotate(90, 3, 7).rotate(90, 3, 7).rotate(90, 3, 7).equals(region), true);
+			assert.equal(region.rotate(90, 3, 7).rotate(-90, 3, 7).equals(region), true);
+		});
+
+		it('fails for angles that are not multiples of 90 degrees', function() {
+			assert.throws(function() { region.rotate(45); });
+			assert.throws(function() { region.rotate(pInf); });
+			assert.throws(function() { region.rotate("foo"); });
+		});
+
+		it('fails for invalid origins', function() {
+			assert.throws(function() { region.rotate(180, 'x', 'y'); });
+			assert.throws(function() { region.rotate(90, 3, {}); });
+			assert.throws(function() { region.rotate(0, nInf, 0); });
+		});
+	});
+
+	//---------------------------------------------------------------------------------------------
+	// Region2D.inflate() / deflate()
+
+	describe('Region2D.inflate()', function() {
+		it('does nothing to an empty region', function() {
+			assert.equal(Region2D.empty.inflate(5, 5).isEmpty(), true);
+		});
+
+		it('returns the same region for zero amounts', function() {
+			var region = new Region2D([1, 2, 3, 4]);
+			assert.equal(region.inflate(0), region);
+			assert.equal(region.inflate({ left: 0 }), region);
+		});
+
+		it('can grow a simple rectangle', function() {
+			var region = new Region2D([10, 20, 30, 40]);
+			assert.deepEqual(region.inflate(5).getRects(), makeRects([5, 15, 35, 45]));
+			assert.deepEqual(region.inflate(5, 2).getRects(), makeRects([5, 18, 35, 42]));
+			assert.deepEqual(region.inflate({ left: 1, top: 2, right: 3, bottom: 4 }).getRects(), makeRects([9, 18, 33, 44]));
+		});
+
+		it('can grow a complex region, merging nearby pieces', function() {
+			//   1234567
+			// 1
+			// 2 BBBB
+			// 3 BBBB
+			// 4 BB**AA
+			// 5 BB**AA
+			// 6   AAAA
+			// 7   AAAA
+			// 8
+			var region = Region2D.fromRects([
+				[ 3, 4, 7, 8 ],
+				[ 1, 2, 5, 6 ],
+			]);
+			assert.deepEqual(region.inflate(1).getRects(), makeRects([
+				0, 1, 6, 3,
+				0, 3, 8, 7,
+				2, 7, 8, 9
+			]));
+
+			// Two rectangles two units apart become joined when each grows by one.
+			var pair = Region2D.fromRects([[1, 1, 3, 3], [5, 1, 7, 3], [1, 5, 3, 7]]);
+			assert.deepEqual(pair.inflate(1).getRects(), makeRects([
+				0, 0, 8, 4,
+				0, 4, 4, 8
+			]));
+		});
+
+		it('agrees with a brute-force Minkowski sum', function() {
+			var region = Region2D.fromRects([
+				[ 3, 4, 7, 8 ],
+				[ 1, 2, 5, 6 ],
+				[ 9, 1, 12, 3 ],
+				[ 10, 3, 11, 9 ],
+				[ 2, 12, 12, 13 ],
+			]);
+			var amounts = { left: 1, top: 2, right: 0, bottom: 1 };
+			var expected = Region2D.empty;
+			var rects = region.getRects();
+			for (var i = 0; i < rects.length; i++) {
+				expected = expected.union(new Region2D([rects[i].left - amounts.left, rects[i].top - amounts.top,
+					rects[i].right + amounts.right, rects[i].bottom + amounts.bottom]));
+			}
+			assert.equal(region.inflate(amounts).equals(expected), true);
+		});
+
+		it('can grow infinite regions', function() {
+			assert.equal(Region2D.infinite.inflate(5).equals(Region2D.infinite), true);
+			var region = new Region2D([nInf, 2, 5, 4]);
+			assert.deepEqual(region.inflate(1).getRects(), makeRects([nInf, 1, 6, 5]));
+		});
+
+		it('fails for negative, infinite, or non-numeric amounts', function() {
+			var region = new Region2D([1, 2, 3, 4]);
+			assert.throws(function() { region.inflate(-1); });
+			assert.throws(function() { region.inflate(1, pInf); });
+			assert.throws(function() { region.inflate({ left: -1 }); });
+			assert.throws(function() { region.inflate("foo"); });
+		});
+	});
+
+	describe('Region2D.deflate()', function() {
+		it('does nothing to an empty region', function() {
+			assert.equal(Region2D.empty.deflate(5, 5).isEmpty(), true);
+		});
+
+		it('can shrink a simple rectangle', function() {
+			var region = new Region2D([10, 20, 30, 40]);
+			assert.deepEqual(region.deflate(5).getRects(), makeRects([15, 25, 25, 35]));
+			assert.deepEqual(region.deflate({ left: 1, top: 2, right: 3, bottom: 4 }).getRects(), makeRects([11, 22, 27, 36]));
+			assert.equal(region.deflate(10).isEmpty(), true);
+			assert.equal(region.deflate(0, 15).isEmpty(), true);
+		});
+
+		it('can shrink a complex region, removing thin pieces', function() {
+			//   1234567
+			// 1
+			// 2 BBBB
+			// 3 BBBB
+			// 4 BB**AA
+			// 5 BB**AA
+			// 6   AAAA
+			// 7   AAAA
+			// 8
+			var region = Region2D.fromRects([
+				[ 3, 4, 7, 8 ],
+				[ 1, 2, 5, 6 ],
+				[ 9, 1, 10, 9 ],
+			]);
+			assert.deepEqual(region.deflate(1).getRects(), makeRects([
+				2, 3, 4, 5,
+				4, 5, 6, 7
+			]));
+		});
+
+		it('undoes an inflate of a convex region', function() {
+			var region = new Region2D([1, 2, 30, 40]);
+			assert.equal(region.inflate(3, 7).deflate(3, 7).equals(region), true);
+		});
+
+		it('can shrink infinite regions', function() {
+			assert.equal(Region2D.infinite.deflate(5).equals(Region2D.infinite), true);
+			var region = new Region2D([nInf, 2, 5, 14]);
+			assert.deepEqual(region.deflate(1).getRects(), makeRects([nInf, 3, 4, 13]));
+		});
+	});
+
 	//---------------------------------------------------------------------------------------------
 	// Region2D.getPath()
 
@@ -1273,62 +1652,483 @@ describe('Region2D', function() {
 				]
 			]);
 		});
-	});
-
-	//---------------------------------------------------------------------------------------------
-	// Region2D.isPointIn()
 
-	describe('Region2D.isPointIn()', function() {
-		it('always returns false for the empty set', function() {
-			assert.equal(Region2D.empty.isPointIn(0, 0), false);
-			assert.equal(Region2D.empty.isPointIn(1, 1), false);
-			assert.equal(Region2D.empty.isPointIn(pInf, pInf), false);
-			assert.equal(Region2D.empty.isPointIn(nInf, nInf), false);
+		it('renders separate polygons at corners when asked for 4-connectivity', function() {
+			//   123
+			// 1 AA
+			// 2 AA
+			// 3   BB
+			// 4   BB
+			var region = Region2D.fromRects([
+				[ 1, 1, 3, 3 ],
+				[ 3, 3, 5, 5 ]
+			]);
+			var expected = [
+				[ { x:1, y:1 }, { x:3, y:1 }, { x:3, y:3 }, { x:1, y:3 } ],
+				[ { x:3, y:3 }, { x:5, y:3 }, { x:5, y:5 }, { x:3, y:5 } ]
+			];
+			assert.deepEqual(region.getPath({ connectivity: 4 }), expected);
+			assert.deepEqual(region.getPath(), expected);
 		});
 
-		it('detects point intersection for one rectangle', function() {
-			var region = Region2D.fromRects([[1, 2, 3, 4]]);
-			assert.equal(region.isPointIn(0, 0), false);
-			assert.equal(region.isPointIn(1, 0), false);
-			assert.equal(region.isPointIn(2, 0), false);
-			assert.equal(region.isPointIn(3, 0), false);
-			assert.equal(region.isPointIn(4, 0), false);
+		it('renders a pinched polygon at corners when asked for 8-connectivity', function() {
+			//   123
+			// 1 AA
+			// 2 AA
+			// 3   BB
+			// 4   BB
+			var region = Region2D.fromRects([
+				[ 1, 1, 3, 3 ],
+				[ 3, 3, 5, 5 ]
+			]);
+			assert.deepEqual(region.getPath({ connectivity: 8 }), [
+				[
+					{ x:1, y:1 }, { x:3, y:1 }, { x:3, y:3 }, { x:5, y:3 },
+					{ x:5, y:5 }, { x:3, y:5 }, { x:3, y:3 }, { x:1, y:3 }
+				]
+			]);
 
-			assert.equal(region.isPointIn(0, 2), false);
-			assert.equal(region.isPointIn(1, 2), true);
-			assert.equal(region.isPointIn(2, 2), true);
-			assert.equal(region.isPointIn(3, 2), false);
-			assert.equal(region.isPointIn(4, 2), false);
+			//   123
+			// 1   AA
+			// 2   AA
+			// 3 BB
+			// 4 BB
+			region = Region2D.fromRects([
+				[ 3, 1, 5, 3 ],
+				[ 1, 3, 3, 5 ]
+			]);
+			assert.deepEqual(region.getPath({ connectivity: 8 }), [
+				[
+					{ x:3, y:1 }, { x:5, y:1 }, { x:5, y:3 }, { x:3, y:3 },
+					{ x:3, y:5 }, { x:1, y:5 }, { x:1, y:3 }, { x:3, y:3 }
+				]
+			]);
+		});
 
-			assert.equal(region.isPointIn(0, 3), false);
-			assert.equal(region.isPointIn(1, 3), true);
-			assert.equal(region.isPointIn(2, 3), true);
-			assert.equal(region.isPointIn(3, 3), false);
-			assert.equal(region.isPointIn(4, 3), false);
+		it('renders the holes of a checkerboard pinched at every corner', function() {
+			//   1234
+			// 1  A B
+			// 2 C D
+			// 3  E F
+			// 4 G H
+			var rects = [];
+			for (var y = 1; y <= 4; y++) {
+				for (var x = 1; x <= 4; x++) {
+					if ((x + y) % 2) rects.push([ x, y, x+1, y+1 ]);
+				}
+			}
+			var region = Region2D.fromRects(rects);
 
-			assert.equal(region.isPointIn(0, 4), false);
-			assert.equal(region.isPointIn(1, 4), false);
-			assert.equal(region.isPointIn(2, 4), false);
-			assert.equal(region.isPointIn(3, 4), false);
-			assert.equal(region.isPointIn(4, 4), false);
-		});
+			assert.equal(region.getPath({ connectivity: 4 }).length, 8);
 
-		it('detects point intersection for a complex disjoint region', function() {
-			//   1234567890
-			// 1
-			// 2 BBBB
-			// 3 BBBB
-			// 4 BB**AA
-			// 5 BB**AA
-			// 6   AAAA
-			// 7   AAAA
-			// 8
-			// 9       CCC
-			// 0       CCC
-			var region = Region2D.fromRects([
-				[ 3, 4, 7, 8 ],
-				[ 1, 2, 5, 6 ],
-				[ 7, 9, 10, 11 ]
+			var polygons = region.getPolygons({ connectivity: 8 });
+			assert.equal(polygons.length, 1);
+			assert.deepEqual(polygons[0].holes, [
+				[ { x:2, y:3 }, { x:3, y:3 }, { x:3, y:2 }, { x:2, y:2 } ],
+				[ { x:3, y:4 }, { x:4, y:4 }, { x:4, y:3 }, { x:3, y:3 } ]
+			]);
+		});
+
+		it('renders every 3x3 pattern consistently for either connectivity', function() {
+			// Count the windings that contain a point; a point is in the region iff
+			// it's inside an odd number of them.
+			var countWindingsAround = function(windings, px, py) {
+				var count = 0;
+				for (var i = 0; i < windings.length; i++) {
+					var winding = windings[i], inside = false;
+					for (var j = 0; j < winding.length; j++) {
+						var p1 = winding[j], p2 = winding[(j + 1) % winding.length];
+						if (p1.x === p2.x && p1.x < px && py >= Math.min(p1.y, p2.y) && py < Math.max(p1.y, p2.y))
+							inside = !inside;
+					}
+					if (inside) count++;
+				}
+				return count;
+			};
+
+			for (var pattern = 0; pattern < 512; pattern++) {
+				var rects = [];
+				for (var bit = 0; bit < 9; bit++) {
+					if (pattern & (1 << bit)) rects.push([ bit % 3, (bit / 3) | 0, bit % 3 + 1, ((bit / 3) | 0) + 1 ]);
+				}
+				var region = Region2D.fromRects(rects);
+
+				[4, 8].forEach(function(connectivity) {
+					var windings = region.getPath({ connectivity: connectivity });
+
+					for (var y = -1; y <= 3; y++) {
+						for (var x = -1; x <= 3; x++) {
+							assert.equal(countWindingsAround(windings, x + 0.5, y + 0.5) % 2 === 1,
+								region.isPointIn(x + 0.5, y + 0.5));
+						}
+					}
+
+					var polygons = region.getPolygons({ connectivity: connectivity }), numHoles = 0;
+					for (var i = 0; i < polygons.length; i++) numHoles += polygons[i].holes.length;
+					assert.equal(polygons.length, region.getComponentCount({ connectivity: connectivity }));
+					assert.equal(numHoles, region.getHoles({ connectivity: connectivity })
+						.getComponentCount({ connectivity: 12 - connectivity }));
+				});
+			}
+		});
+
+		it('rejects connectivities other than 4 and 8', function() {
+			var region = Region2D.fromRects([ [ 1, 1, 3, 3 ], [ 3, 3, 5, 5 ] ]);
+			assert.throws(function() { region.getPath({ connectivity: 6 }); });
+			assert.throws(function() { region.getPolygons({ connectivity: 0 }); });
+		});
+	});
+
+	//---------------------------------------------------------------------------------------------
+	// #getComponents() / #getComponentCount() / #isConnected()
+
+	describe('#getComponents()', function() {
+		it('returns nothing for an empty region', function() {
+			assert.deepEqual(Region2D.empty.getComponents(), []);
+			assert.equal(Region2D.empty.getComponentCount(), 0);
+			assert.equal(Region2D.empty.isConnected(), false);
+		});
+
+		it('returns a rectangular region as its own only component', function() {
+			var region = new Region2D([1, 2, 3, 4]);
+			var components = region.getComponents();
+			assert.equal(components.length, 1);
+			assert.equal(components[0], region);
+			assert.equal(region.getComponentCount(), 1);
+			assert.equal(region.isConnected(), true);
+		});
+
+		it('splits a region into its separate islands', function() {
+			//   12345678901234
+			// 1
+			// 2 BBBB
+			// 3 BBBB
+			// 4 BB**AA  CCCCC
+			// 5 BB**AA  **C**
+			// 6   AAAA  DD EE
+			// 7   AAAA
+			// 8
+			var region = Region2D.fromRects([
+				[ 3, 4, 7, 8 ],
+				[ 1, 2, 5, 6 ],
+				[ 9, 4, 14, 6 ],
+				[ 9, 5, 11, 7 ],
+				[ 12, 5, 14, 7 ],
+				[ 20, 20, 21, 21 ],
+			]);
+			var components = region.getComponents();
+			assert.equal(components.length, 3);
+			assert.equal(components[0].equals(Region2D.fromRects([[3, 4, 7, 8], [1, 2, 5, 6]])), true);
+			assert.equal(components[1].equals(Region2D.fromRects([[9, 4, 14, 6], [9, 5, 11, 7], [12, 5, 14, 7]])), true);
+			assert.equal(components[2].equals(new Region2D([20, 20, 21, 21])), true);
+			assert.equal(region.getComponentCount(), 3);
+			assert.equal(region.isConnected(), false);
+			assert.equal(components[1].isConnected(), true);
+			assert.equal(Region2D.unionAll(components).equals(region), true);
+		});
+
+		it('separates pieces that share rows but are nested inside each other', function() {
+			//   1234567
+			// 1 AAAAAAA
+			// 2 A     A
+			// 3 A BBB A
+			// 4 A     A
+			// 5 AAAAAAA
+			var outer = new Region2D([1, 1, 8, 6]).subtract(new Region2D([2, 2, 7, 5]));
+			var inner = new Region2D([3, 3, 6, 4]);
+			var components = outer.union(inner).getComponents();
+			assert.equal(components.length, 2);
+			assert.equal(components[0].equals(outer), true);
+			assert.equal(components[1].equals(inner), true);
+		});
+
+		it('connects pieces that touch only at a corner only with 8-connectivity', function() {
+			//   123456789
+			// 1
+			// 2 AAAA
+			// 3 AAAA
+			// 4     BBBB
+			// 5     BBBB
+			// 6
+			var region = Region2D.fromRects([[1, 2, 5, 4], [5, 4, 9, 6]]);
+			assert.equal(region.getComponents().length, 2);
+			assert.equal(region.getComponents({ connectivity: 4 }).length, 2);
+			assert.equal(region.getComponents({ connectivity: 8 }).length, 1);
+			assert.equal(region.getComponents({ connectivity: 8 })[0].equals(region), true);
+			assert.equal(region.getComponentCount({ connectivity: 4 }), 2);
+			assert.equal(region.getComponentCount({ connectivity: 8 }), 1);
+			assert.equal(region.isConnected(), false);
+			assert.equal(region.isConnected({ connectivity: 8 }), true);
+		});
+
+		it('can split a checkerboard', function() {
+			var rects = [];
+			for (var y = 0; y < 4; y++) {
+				for (var x = 0; x < 4; x++) {
+					if ((x + y) & 1) rects.push([x, y, x + 1, y + 1]);
+				}
+			}
+			var region = Region2D.fromRects(rects);
+			assert.equal(region.getComponentCount(), 8);
+			assert.equal(region.getComponentCount({ connectivity: 8 }), 1);
+		});
+
+		it('handles infinite regions', function() {
+			var region = Region2D.infinite.subtract(new Region2D([nInf, 2, pInf, 4]));
+			assert.equal(region.getComponentCount(), 2);
+			assert.equal(Region2D.infinite.isConnected(), true);
+			assert.equal(new Region2D([1, 2, 3, 4]).not().isConnected(), true);
+		});
+
+		it('fails for invalid connectivity', function() {
+			var region = new Region2D([1, 2, 3, 4]);
+			assert.throws(function() { region.getComponents({ connectivity: 6 }); });
+			assert.throws(function() { region.getComponentCount({ connectivity: "foo" }); });
+			assert.throws(function() { region.isConnected({ connectivity: 0 }); });
+		});
+	});
+
+	//---------------------------------------------------------------------------------------------
+	// #getHoles() / #fillHoles()
+
+	describe('#getHoles()', function() {
+		it('finds nothing in an empty, rectangular, or infinite region', function() {
+			assert.equal(Region2D.empty.getHoles().isEmpty(), true);
+			assert.equal(new Region2D([1, 2, 3, 4]).getHoles().isEmpty(), true);
+			assert.equal(Region2D.infinite.getHoles().isEmpty(), true);
+		});
+
+		it('finds the hole in a donut', function() {
+			//   12345678901234
+			// 1
+			// 2 BBBBBB
+			// 3 BBBBBB
+			// 4 CC  DD
+			// 5 CC  DD
+			// 6 AAAAAA
+			// 7 AAAAAA
+			// 8
+			var region = Region2D.fromRects([
+				[ 1, 6, 7, 8 ],
+				[ 1, 2, 7, 4 ],
+				[ 1, 4, 3, 6 ],
+				[ 5, 4, 7, 6 ]
+			]);
+			assert.deepEqual(region.getHoles().getRects(), makeRects([3, 4, 5, 6]));
+		});
+
+		it('finds every hole, but not any open area', function() {
+			//   123456789012
+			// 1 AAAAAAAAAAA
+			// 2 A   A   A
+			// 3 A   A   A
+			// 4 AAAAAAAAA
+			var region = new Region2D([1, 1, 12, 5])
+				.subtract(new Region2D([2, 2, 5, 4]))
+				.subtract(new Region2D([6, 2, 9, 4]))
+				.subtract(new Region2D([10, 2, 12, 5]));
+			assert.deepEqual(region.getHoles().getRects(), makeRects([2, 2, 5, 4, 6, 2, 9, 4]));
+		});
+
+		it('treats a gap that leaks out only through a corner as a hole only with 8-connectivity', function() {
+			//   123456
+			// 1 AAAA
+			// 2 A  A
+			// 3 A  A
+			// 4 AAA
+			// 5
+			var leaky = new Region2D([1, 1, 5, 5])
+				.subtract(new Region2D([2, 2, 4, 4]))
+				.subtract(new Region2D([4, 4, 5, 5]));
+			assert.equal(leaky.getHoles().isEmpty(), true);
+			assert.equal(leaky.getHoles({ connectivity: 8 }).equals(new Region2D([2, 2, 4, 4])), true);
+		});
+
+		it('finds bounded holes in infinite regions', function() {
+			var region = Region2D.infinite.subtract(new Region2D([1, 2, 3, 4]));
+			assert.equal(region.getHoles().equals(new Region2D([1, 2, 3, 4])), true);
+		});
+	});
+
+	describe('#fillHoles()', function() {
+		it('does nothing to a region without holes', function() {
+			var region = Region2D.fromRects([[1, 2, 5, 6], [3, 4, 7, 8]]);
+			assert.equal(region.fillHoles(), region);
+			assert.equal(Region2D.empty.fillHoles(), Region2D.empty);
+		});
+
+		it('fills every hole by default', function() {
+			var region = new Region2D([1, 1, 20, 20])
+				.subtract(new Region2D([2, 2, 4, 4]))
+				.subtract(new Region2D([6, 6, 16, 16]));
+			assert.equal(region.fillHoles().equals(new Region2D([1, 1, 20, 20])), true);
+		});
+
+		it('fills only holes up to the given area', function() {
+			var region = new Region2D([1, 1, 20, 20])
+				.subtract(new Region2D([2, 2, 4, 4]))
+				.subtract(new Region2D([6, 6, 16, 16]));
+			assert.equal(region.fillHoles({ maxArea: 4 }).equals(new Region2D([1, 1, 20, 20]).subtract(new Region2D([6, 6, 16, 16]))), true);
+			assert.equal(region.fillHoles({ maxArea: 3 }), region);
+			assert.equal(region.fillHoles({ maxArea: 100 }).equals(new Region2D([1, 1, 20, 20])), true);
+		});
+
+		it('fails for an invalid maximum area', function() {
+			var region = new Region2D([1, 2, 3, 4]);
+			assert.throws(function() { region.fillHoles({ maxArea: -1 }); });
+			assert.throws(function() { region.fillHoles({ maxArea: "foo" }); });
+		});
+	});
+
+	//---------------------------------------------------------------------------------------------
+	// Region2D.getPolygons()
+
+	describe('Region2D.getPolygons()', function() {
+		it('generates no output for an empty region', function() {
+			assert.deepEqual(Region2D.empty.getPolygons(), []);
+		});
+
+		it('generates one polygon with no holes for a rectangle', function() {
+			var region = new Region2D([1, 2, 3, 4]);
+			assert.deepEqual(region.getPolygons(), [ {
+				outer: [
+					{ x:1, y:2 },
+					{ x:3, y:2 },
+					{ x:3, y:4 },
+					{ x:1, y:4 }
+				],
+				holes: []
+			} ]);
+		});
+
+		it('attaches a hole to its outline', function() {
+			//   12345678901234
+			// 1
+			// 2 BBBBBB
+			// 3 BBBBBB
+			// 4 CC  DD
+			// 5 CC  DD
+			// 6 AAAAAA
+			// 7 AAAAAA
+			// 8
+			var region = Region2D.fromRects([
+				[ 1, 6, 7, 8 ],
+				[ 1, 2, 7, 4 ],
+				[ 1, 4, 3, 6 ],
+				[ 5, 4, 7, 6 ]
+			]);
+			var expected = [ {
+				outer: [
+					{ x:1, y:2 },
+					{ x:7, y:2 },
+					{ x:7, y:8 },
+					{ x:1, y:8 }
+				],
+				holes: [ [
+					{ x:3, y:6 },
+					{ x:5, y:6 },
+					{ x:5, y:4 },
+					{ x:3, y:4 }
+				] ]
+			} ];
+			assert.deepEqual(region.getPolygons(), expected);
+			assert.deepEqual(region.getPath({ nested: true }), expected);
+		});
+
+		it('attaches each hole to the innermost outline that contains it', function() {
+			// A square with a hole, with an island inside the hole, with a hole in the island,
+			// next to a separate square with two holes.
+			var region = new Region2D([0, 0, 10, 10])
+				.subtract(new Region2D([2, 2, 8, 8]))
+				.union(new Region2D([4, 4, 6, 6]))
+				.subtract(new Region2D([4.5, 4.5, 5.5, 5.5]))
+				.union(new Region2D([20, 0, 30, 10]))
+				.subtract(new Region2D([22, 2, 24, 4]))
+				.subtract(new Region2D([26, 6, 28, 8]));
+			var polygons = region.getPolygons();
+			assert.equal(polygons.length, 3);
+
+			var find = function(x, y) {
+				for (var i = 0; i < polygons.length; i++) {
+					if (polygons[i].outer[0].x === x && polygons[i].outer[0].y === y) return polygons[i];
+				}
+				return null;
+			};
+			assert.deepEqual(find(0, 0).holes, [ [ { x:2, y:8 }, { x:8, y:8 }, { x:8, y:2 }, { x:2, y:2 } ] ]);
+			assert.deepEqual(find(4, 4).holes, [ [ { x:4.5, y:5.5 }, { x:5.5, y:5.5 }, { x:5.5, y:4.5 }, { x:4.5, y:4.5 } ] ]);
+			assert.equal(find(20, 0).holes.length, 2);
+		});
+
+		it('keeps outlines that touch only at a corner separate', function() {
+			var region = Region2D.fromRects([[1, 2, 5, 4], [5, 4, 9, 6]]);
+			var polygons = region.getPolygons();
+			assert.equal(polygons.length, 2);
+			assert.deepEqual(polygons[0].holes, []);
+			assert.deepEqual(polygons[1].holes, []);
+		});
+
+		it('can find a hole in an infinite region', function() {
+			var region = Region2D.infinite.subtract(new Region2D([1, 2, 3, 4]));
+			var polygons = region.getPolygons();
+			assert.equal(polygons.length, 1);
+			assert.deepEqual(polygons[0].holes, [ [ { x:1, y:4 }, { x:3, y:4 }, { x:3, y:2 }, { x:1, y:2 } ] ]);
+		});
+	});
+
+	//---------------------------------------------------------------------------------------------
+	// Region2D.isPointIn()
+
+	describe('Region2D.isPointIn()', function() {
+		it('always returns false for the empty set', function() {
+			assert.equal(Region2D.empty.isPointIn(0, 0), false);
+			assert.equal(Region2D.empty.isPointIn(1, 1), false);
+			assert.equal(Region2D.empty.isPointIn(pInf, pInf), false);
+			assert.equal(Region2D.empty.isPointIn(nInf, nInf), false);
+		});
+
+		it('detects point intersection for one rectangle', function() {
+			var region = Region2D.fromRects([[1, 2, 3, 4]]);
+			assert.equal(region.isPointIn(0, 0), false);
+			assert.equal(region.isPointIn(1, 0), false);
+			assert.equal(region.isPointIn(2, 0), false);
+			assert.equal(region.isPointIn(3, 0), false);
+			assert.equal(region.isPointIn(4, 0), false);
+
+			assert.equal(region.isPointIn(0, 2), false);
+			assert.equal(region.isPointIn(1, 2), true);
+			assert.equal(region.isPointIn(2, 2), true);
+			assert.equal(region.isPointIn(3, 2), false);
+			assert.equal(region.isPointIn(4, 2), false);
+
+			assert.equal(region.isPointIn(0, 3), false);
+			assert.equal(region.isPointIn(1, 3), true);
+			assert.equal(region.isPointIn(2, 3), true);
+			assert.equal(region.isPointIn(3, 3), false);
+			assert.equal(region.isPointIn(4, 3), false);
+
+			assert.equal(region.isPointIn(0, 4), false);
+			assert.equal(region.isPointIn(1, 4), false);
+			assert.equal(region.isPointIn(2, 4), false);
+			assert.equal(region.isPointIn(3, 4), false);
+			assert.equal(region.isPointIn(4, 4), false);
+		});
+
+		it('detects point intersection for a complex disjoint region', function() {
+			//   1234567890
+			// 1
+			// 2 BBBB
+			// 3 BBBB
+			// 4 BB**AA
+			// 5 BB**AA
+			// 6   AAAA
+			// 7   AAAA
+			// 8
+			// 9       CCC
+			// 0       CCC
+			var region = Region2D.fromRects([
+				[ 3, 4, 7, 8 ],
+				[ 1, 2, 5, 6 ],
+				[ 7, 9, 10, 11 ]
 			]);
 
 			// Test above the first band.
@@ -1406,6 +2206,134 @@ describe('Region2D', function() {
 		});
 	});
 
+	//---------------------------------------------------------------------------------------------
+	// #distanceTo() / #nearestPoint()
+
+	describe('#distanceTo() / #nearestPoint()', function() {
+		it('finds nothing in the empty set', function() {
+			assert.equal(Region2D.empty.distanceTo(1, 2), pInf);
+			assert.equal(Region2D.empty.nearestPoint(1, 2), null);
+		});
+
+		it('finds points inside or on the edge of the set at zero distance', function() {
+			var region = Region2D.fromRects([[0, 0, 10, 10]]);
+			assert.equal(region.distanceTo(5, 5), 0);
+			assert.deepEqual(region.nearestPoint(5, 5), { x: 5, y: 5 });
+			assert.equal(region.distanceTo(10, 10), 0);
+			assert.deepEqual(region.nearestPoint(10, 10), { x: 10, y: 10 });
+		});
+
+		it('measures distance using each metric', function() {
+			var region = Region2D.fromRects([[0, 0, 10, 10]]);
+			assert.equal(region.distanceTo(13, 14), 5);
+			assert.equal(region.distanceTo(13, 14, { metric: 'euclidean' }), 5);
+			assert.equal(region.distanceTo(13, 14, { metric: 'chebyshev' }), 4);
+			assert.equal(region.distanceTo(13, 14, { metric: 'manhattan' }), 7);
+			assert.deepEqual(region.nearestPoint(13, 14), { x: 10, y: 10 });
+			assert.deepEqual(region.nearestPoint(-3, 4), { x: 0, y: 4 });
+			assert.throws(function() { region.distanceTo(13, 14, { metric: 'taxicab' }); });
+			assert.throws(function() { region.nearestPoint(13, 14, { metric: 'taxicab' }); });
+		});
+
+		it('finds the nearest point in a band other than the one at the point', function() {
+			//   01234567890123456789
+			// 0 AA
+			// 1 AA     *
+			// 2
+			// 3
+			// 4
+			// 5           BBBBBBBBBB
+			var region = Region2D.fromRects([
+				[ 0, 0, 2, 2 ],
+				[ 10, 5, 20, 6 ]
+			]);
+			assert.deepEqual(region.nearestPoint(9, 1), { x: 10, y: 5 });
+			assert.equal(region.distanceTo(9, 1), Math.sqrt(17));
+			assert.equal(region.distanceTo(9, 1, { metric: 'manhattan' }), 5);
+		});
+
+		it('finds the nearer side of a gap within a band', function() {
+			var region = Region2D.fromRects([
+				[ 0, 0, 2, 2 ],
+				[ 6, 0, 8, 2 ]
+			]);
+			assert.deepEqual(region.nearestPoint(4.5, 1), { x: 6, y: 1 });
+			assert.equal(region.distanceTo(4.5, 1), 1.5);
+			assert.deepEqual(region.nearestPoint(3.5, 1), { x: 2, y: 1 });
+			assert.deepEqual(region.nearestPoint(-1, 1), { x: 0, y: 1 });
+			assert.deepEqual(region.nearestPoint(9, 1), { x: 8, y: 1 });
+		});
+
+		it('finds the nearest point in an infinite set', function() {
+			var region = Region2D.fromRects([[0, 0, 10, 10]]).not();
+			assert.equal(region.distanceTo(5, 4), 4);
+			assert.deepEqual(region.nearestPoint(5, 4), { x: 5, y: 0 });
+			assert.equal(region.distanceTo(-3, 5), 0);
+			assert.equal(Region2D.infinite.distanceTo(100, -100), 0);
+		});
+
+		it('handles infinite coordinates', function() {
+			var region = Region2D.fromRects([[0, 0, 10, 10], [20, 20, 30, 30]]);
+			assert.equal(region.distanceTo(0, pInf), pInf);
+			assert.deepEqual(region.nearestPoint(25, pInf), { x: 25, y: 30 });
+			assert.equal(region.distanceTo(0, nInf), pInf);
+			assert.deepEqual(region.nearestPoint(5, nInf), { x: 5, y: 0 });
+			assert.equal(region.distanceTo(pInf, 5), pInf);
+			assert.deepEqual(region.nearestPoint(pInf, 5), { x: 10, y: 5 });
+			assert.deepEqual(region.nearestPoint(nInf, 25), { x: 20, y: 25 });
+			assert.equal(region.distanceTo(pInf, pInf, { metric: 'manhattan' }), pInf);
+
+			var infinite = region.not();
+			assert.equal(infinite.distanceTo(5, pInf), 0);
+			assert.equal(infinite.distanceTo(pInf, 5), 0);
+			assert.equal(infinite.distanceTo(nInf, nInf), 0);
+			assert.equal(Region2D.infinite.distanceTo(pInf, pInf), 0);
+		});
+
+		it('fails for coordinates that aren\'t numbers', function() {
+			var region = Region2D.fromRects([[0, 0, 10, 10]]);
+			assert.throws(function() { region.distanceTo(0, Number.NaN); });
+			assert.throws(function() { region.distanceTo('a', 'b'); });
+			assert.throws(function() { region.nearestPoint(Number.NaN, 0); });
+			assert.throws(function() { region.nearestPoint(0, {}); });
+			assert.throws(function() { Region2D.empty.distanceTo(Number.NaN, 0); });
+		});
+
+		it('agrees with a brute-force search over the rectangles', function() {
+			var random = makeRandom(24680);
+
+			var rects = [];
+			for (var i = 0; i < 30; i++) {
+				var x = random(100), y = random(100);
+				rects.push([ x, y, x + 1 + random(10), y + 1 + random(10) ]);
+			}
+			var region = Region2D.fromRects(rects);
+			var regionRects = region.getRects();
+
+			['euclidean', 'chebyshev', 'manhattan'].forEach(function(metric) {
+				var measure = function(dx, dy) {
+					return metric === 'euclidean' ? Math.sqrt(dx * dx + dy * dy)
+						: metric === 'chebyshev' ? Math.max(dx, dy) : dx + dy;
+				};
+
+				for (var j = 0; j < 50; j++) {
+					var px = random(130) - 15, py = random(130) - 15;
+					var best = pInf;
+					for (var k = 0; k < regionRects.length; k++) {
+						var r = regionRects[k];
+						var d = measure(Math.max(r.left - px, 0, px - r.right), Math.max(r.top - py, 0, py - r.bottom));
+						if (d < best) best = d;
+					}
+					assert.equal(region.distanceTo(px, py, { metric: metric }), best);
+
+					var point = region.nearestPoint(px, py, { metric: metric });
+					assert.equal(region.distanceTo(point.x, point.y), 0);
+					assert.equal(measure(Math.abs(point.x - px), Math.abs(point.y - py)), best);
+				}
+			});
+		});
+	});
+
 	//---------------------------------------------------------------------------------------------
 	// Region2D.equals()
 
@@ -1530,6 +2458,122 @@ describe('Region2D', function() {
 				3, 6, 7, 8
 			]));
 		});
+
+		it('produces the same region as unioning the rectangles one at a time', function() {
+			// A small deterministic pseudo-random generator, so the test is repeatable.
+			var random = makeRandom(12345);
+
+			for (var trial = 0; trial < 10; trial++) {
+				var rects = [];
+				for (var i = 0; i < 50 + trial * 10; i++) {
+					var x = random(100), y = random(100);
+					rects.push([x, y, x + 1 + random(30), y + 1 + random(30)]);
+				}
+
+				var expected = new Region2D(rects[0]);
+				for (var i = 1; i < rects.length; i++) {
+					expected = expected.union(new Region2D(rects[i]));
+				}
+
+				var region = Region2D.fromRects(rects);
+				assert.equal(region.equals(expected), true);
+				assert.deepEqual(region.getRects(), expected.getRects());
+				assert.equal(region.getHashCode(), expected.getHashCode());
+			}
+		});
+
+		it('fails if any of the rectangles is invalid', function() {
+			assert.throws(function() { Region2D.fromRects([[1, 2, 3, 4], [5, 6, 5, 7]]); });
+			assert.throws(function() { Region2D.fromRects([[1, 2, 3, 4], "foo"]); });
+		});
+	});
+
+	//---------------------------------------------------------------------------------------------
+	// Region2D.unionAll() / intersectAll() / xorAll()
+
+	describe('Region2D.unionAll() / intersectAll() / xorAll()', function() {
+		var makeRandomRegions = function() {
+			// A small deterministic pseudo-random generator, so the test is repeatable.
+			var random = makeRandom(54321);
+
+			var regions = [];
+			for (var i = 0; i < 12; i++) {
+				var rects = [];
+				for (var j = 0; j < 6; j++) {
+					var x = random(40), y = random(40);
+					rects.push([x, y, x + 1 + random(20), y + 1 + random(20)]);
+				}
+				regions.push(Region2D.fromRects(rects));
+			}
+			return regions;
+		};
+
+		it('produces an empty region from no regions', function() {
+			assert.equal(Region2D.unionAll([]).isEmpty(), true);
+			assert.equal(Region2D.intersectAll([]).isEmpty(), true);
+			assert.equal(Region2D.xorAll([]).isEmpty(), true);
+		});
+
+		it('produces the same result as chained unions', function() {
+			var regions = makeRandomRegions();
+			var expected = regions[0];
+			for (var i = 1; i < regions.length; i++) {
+				expected = expected.union(regions[i]);
+			}
+			var actual = Region2D.unionAll(regions);
+			assert.equal(actual.equals(expected), true);
+			assert.deepEqual(actual.getRects(), expected.getRects());
+			assert.deepEqual(actual.getBounds(), expected.getBounds());
+		});
+
+		it('produces the same result as chained intersections', function() {
+			var regions = makeRandomRegions().slice(0, 3);
+			regions.push(new Region2D([10, 10, 40, 40]));
+			var expected = regions[0];
+			for (var i = 1; i < regions.length; i++) {
+				expected = expected.intersect(regions[i]);
+			}
+			var actual = Region2D.intersectAll(regions);
+			assert.equal(actual.equals(expected), true);
+			assert.deepEqual(actual.getRects(), expected.getRects());
+			assert.equal(Region2D.intersectAll(regions.concat([Region2D.empty])).isEmpty(), true);
+		});
+
+		it('produces the same result as chained exclusive-ors', function() {
+			var regions = makeRandomRegions();
+			regions.push(Region2D.infinite);
+			var expected = regions[0];
+			for (var i = 1; i < regions.length; i++) {
+				expected = expected.xor(regions[i]);
+			}
+			var actual = Region2D.xorAll(regions);
+			assert.equal(actual.equals(expected), true);
+			assert.deepEqual(actual.getRects(), expected.getRects());
+			assert.deepEqual(actual.getBounds(), expected.getBounds());
+		});
+
+		it('handles regions whose rows cover only some of the bands', function() {
+			var regions = [
+				Region2D.fromRects([[0, 0, 10, 5], [0, 20, 10, 25]]),
+				Region2D.fromRects([[5, 3, 15, 8]]),
+				Region2D.fromRects([[2, 4, 8, 22]])
+			];
+			var union = regions[0].union(regions[1]).union(regions[2]);
+			var intersection = regions[0].intersect(regions[1]).intersect(regions[2]);
+			var xor = regions[0].xor(regions[1]).xor(regions[2]);
+			assert.deepEqual(Region2D.unionAll(regions).getRects(), union.getRects());
+			assert.deepEqual(Region2D.intersectAll(regions).getRects(), intersection.getRects());
+			assert.deepEqual(Region2D.intersectAll(regions).getRects(), [makeRect([5, 4, 8, 5])]);
+			assert.deepEqual(Region2D.xorAll(regions).getRects(), xor.getRects());
+			assert.equal(Region2D.intersectAll(regions.slice(1).concat([new Region2D([0, 30, 10, 40])])).isEmpty(), true);
+		});
+
+		it('fails if any of the regions is not a Region2D', function() {
+			var r = new Region2D([1, 2, 3, 4]);
+			assert.throws(function() { Region2D.unionAll([r, [2, 3, 4, 5]]); });
+			assert.throws(function() { Region2D.intersectAll([r, true]); });
+			assert.throws(function() { Region2D.xorAll(r); });
+		});
 	});
 
 	//---------------------------------------------------------------------------------------------
@@ -1775,6 +2819,40 @@ describe('Region2D', function() {
 			assert.equal(a.doesIntersect(b), false);
 		});
 
+		it('should return false for interleaved regions whose bands never overlap', function() {
+			//   12345678
+			// 1
+			// 2 AAA BBB
+			// 3 AAA BBB
+			// 4 BBB AAA
+			// 5 BBB AAA
+			// 6
+			var a = Region2D.fromRects([[1, 2, 4, 4], [5, 4, 8, 6]]);
+			var b = Region2D.fromRects([[5, 2, 8, 4], [1, 4, 4, 6]]);
+			assert.equal(a.doesIntersect(b), false);
+			assert.equal(b.doesIntersect(a), false);
+		});
+
+		it('can find an intersection in the last of many bands', function() {
+			var rects = [];
+			for (var i = 0; i < 20; i++) {
+				rects.push([(i & 1) * 10, i * 2, (i & 1) * 10 + 5, i * 2 + 1]);
+			}
+			var a = Region2D.fromRects(rects);
+			assert.equal(a.doesIntersect(new Region2D([12, 38, 20, 40])), true);
+			assert.equal(a.doesIntersect(new Region2D([12, 37, 20, 38])), false);
+			assert.equal(a.doesIntersect(new Region2D([0, 1, 20, 2])), false);
+		});
+
+		it('can test against infinite and empty regions', function() {
+			var a = Region2D.fromRects([[1, 2, 5, 6], [3, 4, 7, 8]]);
+			assert.equal(a.doesIntersect(Region2D.infinite), true);
+			assert.equal(Region2D.infinite.doesIntersect(a), true);
+			assert.equal(a.doesIntersect(Region2D.empty), false);
+			assert.equal(Region2D.empty.doesIntersect(a), false);
+			assert.equal(a.doesIntersect(a.not()), false);
+		});
+
 		it('fails if the other region is not a Region2D', function() {
 			var r = new Region2D([1, 2, 3, 4]);
 			assert.throws(function() { r.doesIntersect(true); });
@@ -1784,28 +2862,949 @@ describe('Region2D', function() {
 	});
 
 	//---------------------------------------------------------------------------------------------
-	// #getCount()
-
-	describe('#getCount()', function() {
-		it('returns 0 for an empty set', function() {
-			assert.equal(Region2D.empty.getCount(), 0);
-			assert.equal(new Region2D().getCount(), 0);
-			assert.equal(Region2D.infinite.not().getCount(), 0);
-		});
+	// #relate()
 
-		it('returns 1 for any set with four "edges"', function() {
-			assert.equal(new Region2D([1, 2, 3, 4]).getCount(), 1);
-			assert.equal(Region2D.infinite.getCount(), 1);
-			assert.equal(Region2D.empty.not().getCount(), 1);
-			assert.equal(new Region2D([1, 2, 3, pInf]).getCount(), 1);
-			assert.equal(new Region2D([1, 2, pInf, 4]).getCount(), 1);
-			assert.equal(new Region2D([1, nInf, 3, 4]).getCount(), 1);
-			assert.equal(new Region2D([nInf, 2, 3, 4]).getCount(), 1);
+	describe('#relate()', function() {
+		it('returns nothing when either region is empty', function() {
+			var r = new Region2D([1, 2, 3, 4]);
+			assert.equal(Region2D.empty.relate(Region2D.empty), '');
+			assert.equal(r.relate(Region2D.empty), '');
+			assert.equal(Region2D.empty.relate(r), '');
 		});
 
-		it('returns the count of rectangles in complex regions', function() {
-			assert.equal(new Region2D([1, 2, 3, 4]).not().getCount(), 4);
-
+		it('returns nothing for two disconnected rectangular regions', function() {
+			//   12345678
+			// 1
+			// 2 BBB
+			// 3 BBB
+			// 4 BBB AAA
+			// 5 BBB AAA
+			// 6     AAA
+			// 7     AAA
+			// 8
+			var a = new Region2D([5, 4, 8, 8]);
+			var b = new Region2D([1, 2, 4, 6]);
+			assert.equal(a.relate(b), '');
+			assert.equal(b.relate(a), '');
+		});
+
+		it('returns nothing for interleaved regions whose bands never overlap', function() {
+			//   12345678
+			// 1
+			// 2 AAA BBB
+			// 3 AAA BBB
+			// 4 BBB AAA
+			// 5 BBB AAA
+			// 6
+			var a = Region2D.fromRects([[1, 2, 4, 4], [5, 4, 8, 6]]);
+			var b = Region2D.fromRects([[5, 2, 8, 4], [1, 4, 4, 6]]);
+			assert.equal(a.relate(b), '');
+			assert.equal(b.relate(a), '');
+		});
+
+		it('can detect simple intersection', function() {
+			//   1234567
+			// 1
+			// 2 BBBB
+			// 3 BBBB
+			// 4 BB**AA
+			// 5 BB**AA
+			// 6   AAAA
+			// 7   AAAA
+			// 8
+			var a = new Region2D([3, 4, 7, 8]);
+			var b = new Region2D([1, 2, 5, 6]);
+			assert.equal(a.relate(b), 'intersect');
+			assert.equal(b.relate(a), 'intersect');
+		});
+
+		it('can detect proper supersets', function() {
+			//   1234567
+			// 1
+			// 2 AAAAAA
+			// 3 AA**AA
+			// 4 AA**AA
+			// 5 AAAAAA
+			// 6
+			var a = new Region2D([1, 2, 7, 6]);
+			var b = new Region2D([3, 3, 5, 5]);
+			assert.equal(a.relate(b), 'a-contain-b');
+			assert.equal(b.relate(a), 'b-contain-a');
+		});
+
+		it('can detect proper supersets of complex regions', function() {
+			var a = Region2D.fromRects([[1, 2, 5, 6], [3, 4, 7, 8]]);
+			var b = Region2D.fromRects([[1, 2, 2, 3], [6, 7, 7, 8]]);
+			assert.equal(a.relate(b), 'a-contain-b');
+			assert.equal(b.relate(a), 'b-contain-a');
+			assert.equal(Region2D.infinite.relate(a), 'a-contain-b');
+			assert.equal(a.relate(Region2D.infinite), 'b-contain-a');
+		});
+
+		it('can detect equal sets', function() {
+			var a = Region2D.fromRects([[1, 2, 5, 6], [3, 4, 7, 8]]);
+			var b = Region2D.fromRects([[3, 4, 7, 8], [1, 2, 5, 6]]);
+			assert.equal(a.relate(b), 'equal');
+			assert.equal(a.relate(a), 'equal');
+			assert.equal(Region2D.infinite.relate(Region2D.infinite), 'equal');
+		});
+
+		it('does not report containment when one region extends past the other', function() {
+			//   1234567
+			// 1
+			// 2 AAAA
+			// 3 A**A
+			// 4 A**A
+			// 5 AAAA
+			// 6  BB
+			// 7
+			var a = new Region2D([1, 2, 5, 6]);
+			var b = new Region2D([2, 3, 4, 7]);
+			assert.equal(a.relate(b), 'intersect');
+			assert.equal(b.relate(a), 'intersect');
+		});
+
+		it('fails if the other region is not a Region2D', function() {
+			var r = new Region2D([1, 2, 3, 4]);
+			assert.throws(function() { r.relate(true); });
+			assert.throws(function() { r.relate([2, 3, 4, 5]); });
+			assert.throws(function() { r.relate(["2, 3, 4, 5"]); });
+		});
+	});
+
+	//---------------------------------------------------------------------------------------------
+	// Direct rectangle operations.
+
+	describe('#unionRect()', function() {
+		it('can add a rectangle to an empty region', function() {
+			var region = Region2D.empty.unionRect([1, 2, 3, 4]);
+			assert.deepEqual(region.getRects(), makeRects([1, 2, 3, 4]));
+		});
+
+		it('produces the same result as union() with a rectangular region', function() {
+			//   1234567
+			// 1
+			// 2 BBBB
+			// 3 BBBB
+			// 4 BB**AA
+			// 5 BB**AA
+			// 6   AAAA
+			// 7   AAAA
+			// 8
+			var region = Region2D.fromRects([[1, 2, 5, 6], [3, 4, 7, 8], [1, 10, 3, 12], [1, 14, 5, 16]]);
+			var rects = [
+				[3, 4, 7, 8], [0, 0, 10, 20], [8, 1, 9, 3], [1, 8, 3, 10], [1, 12, 3, 14],
+				{ x: 2, y: 9, width: 5, height: 2 }, { left: 4, top: 3, right: 6, bottom: 15 }
+			];
+			for (var i = 0; i < rects.length; i++) {
+				var expected = region.union(new Region2D(rects[i]));
+				var actual = region.unionRect(rects[i]);
+				assert.equal(actual.equals(expected), true);
+				assert.deepEqual(actual.getRects(), expected.getRects());
+				assert.deepEqual(actual.getBounds(), expected.getBounds());
+				assert.equal(actual.getCount(), expected.getCount());
+			}
+		});
+
+		it('coalesces rows above and below the rectangle when they become identical', function() {
+			var region = Region2D.fromRects([[1, 2, 5, 4], [1, 6, 5, 8]]);
+			var result = region.unionRect([1, 4, 5, 6]);
+			assert.equal(result.getCount(), 1);
+			assert.deepEqual(result.getRects(), makeRects([1, 2, 5, 8]));
+		});
+
+		it('shares rows that do not overlap the rectangle', function() {
+			var region = Region2D.fromRects([[1, 2, 5, 4], [3, 6, 7, 8], [1, 10, 5, 12], [3, 14, 7, 16], [1, 18, 5, 20]]);
+			var before = region.getRawRows();
+			var after = region.unionRect([0, 10, 2, 11]).getRawRows();
+			assert.equal(after.length, before.length + 1);
+			assert.equal(after[0].region, before[0].region);
+			assert.equal(after[after.length - 1].region, before[before.length - 1].region);
+		});
+
+		it('fails if the rectangle is invalid', function() {
+			var region = new Region2D([1, 2, 3, 4]);
+			assert.throws(function() { region.unionRect([1, 2, 1, 4]); });
+			assert.throws(function() { region.unionRect("foo"); });
+		});
+	});
+
+	describe('#subtractRect()', function() {
+		it('produces the same result as subtract() with a rectangular region', function() {
+			var region = Region2D.fromRects([[1, 2, 5, 6], [3, 4, 7, 8], [1, 10, 3, 12], [1, 14, 5, 16]]);
+			var rects = [
+				[3, 4, 7, 8], [0, 0, 10, 20], [8, 1, 9, 3], [1, 8, 3, 10], [1, 12, 3, 14],
+				{ x: 2, y: 9, width: 5, height: 2 }, { left: 4, top: 3, right: 6, bottom: 15 }
+			];
+			for (var i = 0; i < rects.length; i++) {
+				var expected = region.subtract(new Region2D(rects[i]));
+				var actual = region.subtractRect(rects[i]);
+				assert.equal(actual.equals(expected), true);
+				assert.deepEqual(actual.getRects(), expected.getRects());
+				assert.deepEqual(actual.getBounds(), expected.getBounds());
+				assert.equal(actual.getCount(), expected.getCount());
+			}
+		});
+
+		it('returns the same region when the rectangle is outside it', function() {
+			var region = new Region2D([1, 2, 3, 4]);
+			assert.equal(region.subtractRect([10, 10, 20, 20]), region);
+		});
+
+		it('can punch a hole in the infinite region', function() {
+			var result = Region2D.infinite.subtractRect([1, 2, 3, 4]);
+			assert.equal(result.equals(new Region2D([1, 2, 3, 4]).not()), true);
+		});
+	});
+
+	describe('#intersectsRect()', function() {
+		it('never intersects the empty region', function() {
+			assert.equal(Region2D.empty.intersectsRect([1, 2, 3, 4]), false);
+		});
+
+		it('agrees with doesIntersect() for a rectangular region', function() {
+			var region = Region2D.fromRects([[1, 2, 5, 6], [3, 4, 7, 8], [1, 10, 3, 12], [1, 14, 5, 16]]);
+			var rects = [
+				[3, 4, 7, 8], [0, 0, 10, 20], [8, 1, 9, 3], [1, 8, 3, 10], [1, 12, 3, 14],
+				[5, 2, 7, 4], [3, 10, 5, 14], [2, 15, 3, 17], [0, 0, 1, 2], [7, 8, 9, 9]
+			];
+			for (var i = 0; i < rects.length; i++) {
+				assert.equal(region.intersectsRect(rects[i]), region.doesIntersect(new Region2D(rects[i])));
+			}
+		});
+	});
+
+	describe('#containsRect()', function() {
+		it('never contains anything in the empty region', function() {
+			assert.equal(Region2D.empty.containsRect([1, 2, 3, 4]), false);
+		});
+
+		it('always contains anything in the infinite region', function() {
+			assert.equal(Region2D.infinite.containsRect([1, 2, 3, 4]), true);
+			assert.equal(Region2D.infinite.containsRect([nInf, nInf, pInf, pInf]), true);
+		});
+
+		it('agrees with relate() for a rectangular region', function() {
+			//   1234567
+			// 1
+			// 2 BBBB
+			// 3 BBBB
+			// 4 BB**AA
+			// 5 BB**AA
+			// 6   AAAA
+			// 7   AAAA
+			// 8
+			var region = Region2D.fromRects([[1, 2, 5, 6], [3, 4, 7, 8], [1, 10, 3, 12], [1, 14, 5, 16]]);
+			var rects = [
+				[3, 4, 7, 8], [1, 2, 5, 6], [2, 3, 6, 5], [3, 2, 5, 8], [3, 2, 5, 9], [1, 10, 3, 12],
+				[1, 9, 3, 12], [1, 11, 3, 15], [2, 14, 4, 15], [5, 2, 7, 4], [1, 2, 7, 8], [0, 0, 1, 2]
+			];
+			for (var i = 0; i < rects.length; i++) {
+				var relation = region.relate(new Region2D(rects[i]));
+				assert.equal(region.containsRect(rects[i]), relation === 'a-contain-b' || relation === 'equal');
+			}
+		});
+	});
+
+	describe('#clip()', function() {
+		it('has no effect on the empty region', function() {
+			assert.equal(Region2D.empty.clip([1, 2, 3, 4]).isEmpty(), true);
+		});
+
+		it('clips the infinite region to the rectangle', function() {
+			assert.deepEqual(Region2D.infinite.clip([1, 2, 3, 4]).getRects(), makeRects([1, 2, 3, 4]));
+		});
+
+		it('returns the same region if it lies entirely within the rectangle', function() {
+			var region = Region2D.fromRects([[1, 2, 5, 6], [3, 4, 7, 8]]);
+			assert.equal(region.clip([0, 0, 10, 10]), region);
+			assert.equal(region.clip([1, 2, 7, 8]), region);
+		});
+
+		it('shares the bands that lie entirely within the rectangle', function() {
+			var region = Region2D.fromRects([[0, 0, 4, 2], [0, 2, 2, 4], [0, 4, 8, 6]]);
+			var rows = region.getRawRows(), clippedRows = region.clip([0, 1, 5, 10]).getRawRows();
+			assert.equal(clippedRows.length, 3);
+			assert.equal(clippedRows[0].region, rows[0].region);
+			assert.equal(clippedRows[1].region, rows[1].region);
+			assert.notEqual(clippedRows[2].region, rows[2].region);
+		});
+
+		it('joins bands that become identical', function() {
+			//   0123456
+			// 0 AA
+			// 1 BB   B
+			var region = Region2D.fromRects([[0, 0, 2, 2], [5, 1, 6, 2]]);
+			assert.equal(region.getCount(), 3);
+			assert.deepEqual(region.clip([0, 0, 3, 3]).getRects(), makeRects([0, 0, 2, 2]));
+		});
+
+		it('agrees with intersect() for a rectangular region', function() {
+			var region = Region2D.fromRects([[1, 2, 5, 6], [3, 4, 7, 8], [1, 10, 3, 12], [1, 14, 5, 16]]);
+			var rects = [
+				[3, 4, 7, 8], [0, 0, 10, 20], [8, 1, 9, 3], [1, 8, 3, 10], [1, 12, 3, 14], [2, 3, 6, 15],
+				[5, 2, 7, 4], [3, 10, 5, 14], [2, 15, 3, 17], [0, 0, 1, 2], [7, 8, 9, 9], [0, 5, 4, 11]
+			];
+			for (var i = 0; i < rects.length; i++) {
+				assert.equal(region.clip(rects[i]).equals(region.intersect(new Region2D(rects[i]))), true);
+			}
+		});
+
+		it('agrees with intersect() for random regions', function() {
+			var random = makeRandom(13579);
+
+			for (var pass = 0; pass < 50; pass++) {
+				var rects = [];
+				for (var i = 0; i < 10; i++) {
+					var x = random(20), y = random(20);
+					rects.push([ x, y, x + 1 + random(8), y + 1 + random(8) ]);
+				}
+				var region = Region2D.fromRects(rects);
+				var left = random(25), top = random(25);
+				var clip = [ left, top, left + 1 + random(10), top + 1 + random(10) ];
+
+				var expected = region.intersect(new Region2D(clip));
+				var actual = region.clip(clip);
+				assert.equal(actual.equals(expected), true);
+				assert.deepEqual(actual.getRects(), expected.getRects());
+			}
+		});
+
+		it('fails for invalid rectangles', function() {
+			assert.throws(function() { Region2D.infinite.clip([3, 2, 1, 4]); });
+		});
+	});
+
+	//---------------------------------------------------------------------------------------------
+	// #findPlacements() / #findFirstPlacement()
+
+	describe('#findPlacements() / #findFirstPlacement()', function() {
+		it('finds nowhere to place anything in an empty region', function() {
+			assert.equal(Region2D.empty.findPlacements(1, 1).isEmpty(), true);
+			assert.equal(Region2D.empty.findFirstPlacement(1, 1), null);
+		});
+
+		it('finds the placements within a simple rectangle', function() {
+			var region = Region2D.fromRects([[0, 0, 10, 10]]);
+			assert.deepEqual(region.findPlacements(4, 3).getRects(), makeRects([0, 0, 6, 7]));
+			assert.deepEqual(region.findFirstPlacement(4, 3), { x: 0, y: 0 });
+			assert.deepEqual(region.findFirstPlacement(4, 3, { order: 'column-major' }), { x: 0, y: 0 });
+			assert.deepEqual(region.findFirstPlacement(4, 3, { order: 'nearest', near: { x: 20, y: 20 } }), { x: 6, y: 7 });
+			assert.deepEqual(region.findFirstPlacement(4, 3, { order: 'nearest', near: { x: 3, y: 3 } }), { x: 3, y: 3 });
+			assert.equal(region.findFirstPlacement(11, 3), null);
+			assert.equal(region.findFirstPlacement(4, 11), null);
+		});
+
+		it('finds exact fits, which have no area of placements', function() {
+			var region = Region2D.fromRects([[0, 0, 10, 10]]);
+			assert.equal(region.findPlacements(10, 10).isEmpty(), true);
+			assert.deepEqual(region.findFirstPlacement(10, 10), { x: 0, y: 0 });
+
+			//   012345678
+			// 0 AAAAAA
+			// 1 AAAAAA
+			// 2   BBBBBB
+			// 3   BBBBBB
+			region = Region2D.fromRects([
+				[0, 0, 6, 2],
+				[2, 2, 8, 4]
+			]);
+			assert.equal(region.findPlacements(4, 4).isEmpty(), true);
+			assert.deepEqual(region.findFirstPlacement(4, 4), { x: 2, y: 0 });
+			assert.deepEqual(region.findFirstPlacement(4, 4, { order: 'nearest', near: { x: 100, y: 100 } }), { x: 2, y: 0 });
+			assert.equal(region.findFirstPlacement(5, 4), null);
+		});
+
+		it('finds placements that span several bands', function() {
+			//   0123456789
+			// 0 AAAA
+			// 1 AAAA
+			// 2 AAAA
+			// 3 AAAA
+			// 4 AAAA
+			// 5 AAAA
+			// 6 AAAABBBBBB
+			// 7 AAAABBBBBB
+			// 8 AAAABBBBBB
+			// 9 AAAABBBBBB
+			var region = Region2D.fromRects([
+				[0, 0, 4, 10],
+				[4, 6, 10, 10]
+			]);
+			assert.deepEqual(region.findPlacements(6, 3).getRects(), makeRects([0, 6, 4, 7]));
+			assert.deepEqual(region.findFirstPlacement(6, 3), { x: 0, y: 6 });
+			assert.deepEqual(region.findPlacements(2, 8).getRects(), makeRects([0, 0, 2, 2]));
+			assert.deepEqual(region.findFirstPlacement(2, 8), { x: 0, y: 0 });
+			assert.deepEqual(region.findFirstPlacement(3, 3, { order: 'nearest', near: { x: 9, y: 0 } }), { x: 7, y: 6 });
+		});
+
+		it('orders the placements as requested', function() {
+			//   0123456789
+			// 0      AAAAA
+			// 1      AAAAA
+			// 2      AAAAA
+			// 3
+			// 4
+			// 5 BBB
+			// 6 BBB
+			// 7 BBB
+			// 8 BBB
+			// 9 BBB
+			var region = Region2D.fromRects([
+				[5, 0, 10, 3],
+				[0, 5, 3, 10]
+			]);
+			assert.deepEqual(region.findFirstPlacement(2, 2), { x: 5, y: 0 });
+			assert.deepEqual(region.findFirstPlacement(2, 2, { order: 'row-major' }), { x: 5, y: 0 });
+			assert.deepEqual(region.findFirstPlacement(2, 2, { order: 'column-major' }), { x: 0, y: 5 });
+			assert.deepEqual(region.findFirstPlacement(2, 2, { order: 'nearest', near: { x: 1, y: 3 } }), { x: 1, y: 5 });
+		});
+
+		it('only finds placements that actually fit', function() {
+			var random = makeRandom(97531);
+
+			for (var pass = 0; pass < 10; pass++) {
+				var rects = [];
+				for (var i = 0; i < 15; i++) {
+					var x = random(30), y = random(30);
+					rects.push([ x, y, x + 1 + random(12), y + 1 + random(12) ]);
+				}
+				var region = Region2D.fromRects(rects);
+				var width = 1 + random(6), height = 1 + random(6);
+
+				// Find the first fit the slow way, at every integer position.
+				var expected = null;
+				for (var py = 0; py < 45 && !expected; py++) {
+					for (var px = 0; px < 45 && !expected; px++) {
+						if (region.containsRect([ px, py, px + width, py + height ])) expected = { x: px, y: py };
+					}
+				}
+				assert.deepEqual(region.findFirstPlacement(width, height), expected);
+
+				var placements = region.findPlacements(width, height).getRects();
+				for (var j = 0; j < placements.length; j++) {
+					var r = placements[j];
+					assert.equal(region.containsRect([ r.left, r.top, r.left + width, r.top + height ]), true);
+					assert.equal(region.containsRect([ r.right, r.bottom, r.right + width, r.bottom + height ]), true);
+				}
+			}
+		});
+
+		it('rejects invalid sizes and orders', function() {
+			var region = Region2D.fromRects([[0, 0, 10, 10]]);
+			assert.throws(function() { region.findPlacements(0, 1); });
+			assert.throws(function() { region.findPlacements(1, pInf); });
+			assert.throws(function() { region.findFirstPlacement(-1, 1); });
+			assert.throws(function() { region.findFirstPlacement(1, 1, { order: 'random' }); });
+			assert.throws(function() { region.findFirstPlacement(1, 1, { order: 'nearest' }); });
+		});
+
+		it('fails for infinite regions', function() {
+			var region = Region2D.fromRects([[0, 0, 10, 10]]).not();
+			assert.throws(function() { Region2D.infinite.findFirstPlacement(1, 1); });
+			assert.throws(function() { region.findFirstPlacement(1, 1); });
+			assert.throws(function() { region.findFirstPlacement(1, 1, { order: 'column-major' }); });
+			assert.throws(function() { region.findFirstPlacement(1, 1, { order: 'nearest', near: { x: 5, y: 5 } }); });
+		});
+	});
+
+	//---------------------------------------------------------------------------------------------
+	// #packRects()
+
+	describe('#packRects()', function() {
+		it('packs nothing into an empty region', function() {
+			var result = Region2D.empty.packRects([ [1, 1], { width: 2, height: 2 } ]);
+			assert.deepEqual(result.placements, [ null, null ]);
+			assert.equal(result.leftover.isEmpty(), true);
+		});
+
+		it('packs rectangles that exactly fill a region', function() {
+			var region = Region2D.fromRects([[0, 0, 10, 10]]);
+			var result = region.packRects([ [5, 5], [5, 5], [5, 5], [5, 5] ]);
+			assert.deepEqual(result.placements, [
+				{ x: 0, y: 0, width: 5, height: 5, rotated: false },
+				{ x: 5, y: 0, width: 5, height: 5, rotated: false },
+				{ x: 0, y: 5, width: 5, height: 5, rotated: false },
+				{ x: 5, y: 5, width: 5, height: 5, rotated: false }
+			]);
+			assert.equal(result.leftover.isEmpty(), true);
+		});
+
+		it('leaves out rectangles that do not fit', function() {
+			var region = Region2D.fromRects([[0, 0, 10, 10]]);
+			var result = region.packRects([ [8, 8], [4, 4], [2, 2] ]);
+			assert.deepEqual(result.placements, [
+				{ x: 0, y: 0, width: 8, height: 8, rotated: false },
+				null,
+				{ x: 8, y: 0, width: 2, height: 2, rotated: false }
+			]);
+			assert.equal(result.leftover.getArea(), 100 - 64 - 4);
+			assert.equal(region.getArea(), 100);
+		});
+
+		it('turns rectangles sideways only when allowed to', function() {
+			var region = Region2D.fromRects([[0, 0, 10, 4]]);
+			assert.deepEqual(region.packRects([ { width: 4, height: 10 } ]).placements, [ null ]);
+			assert.deepEqual(region.packRects([ { width: 4, height: 10 } ], { allowRotation: true }).placements, [
+				{ x: 0, y: 0, width: 10, height: 4, rotated: true }
+			]);
+		});
+
+		it('chooses positions according to the heuristic', function() {
+			//   0123456789012
+			// 0 AAAA      BBB
+			// 1 AAAA      BBB
+			// 2 AAAA      BBB
+			// 3 AAAA      BBB
+			// 4 AAAA      BBB
+			// 5 AAAA      BBB
+			// 6           BBB
+			//  ...        ...
+			var region = Region2D.fromRects([
+				[0, 0, 4, 6],
+				[10, 0, 13, 12]
+			]);
+			assert.deepEqual(region.packRects([ [3, 3] ]).placements, [
+				{ x: 0, y: 0, width: 3, height: 3, rotated: false }
+			]);
+			assert.deepEqual(region.packRects([ [3, 3] ], { heuristic: 'best-area' }).placements, [
+				{ x: 0, y: 0, width: 3, height: 3, rotated: false }
+			]);
+			assert.deepEqual(region.packRects([ [3, 3] ], { heuristic: 'best-short-side' }).placements, [
+				{ x: 10, y: 0, width: 3, height: 3, rotated: false }
+			]);
+			assert.deepEqual(region.packRects([ [3, 8] ], { heuristic: 'bottom-left' }).placements, [
+				{ x: 10, y: 0, width: 3, height: 8, rotated: false }
+			]);
+		});
+
+		it('never overlaps the placements or leaves the region', function() {
+			var random = makeRandom(13579);
+
+			var rects = [];
+			for (var i = 0; i < 10; i++) {
+				var x = random(40), y = random(40);
+				rects.push([ x, y, x + 5 + random(15), y + 5 + random(15) ]);
+			}
+			var region = Region2D.fromRects(rects);
+
+			var sizes = [];
+			for (var j = 0; j < 40; j++) sizes.push([ 1 + random(8), 1 + random(8) ]);
+
+			['best-area', 'bottom-left', 'best-short-side'].forEach(function(heuristic) {
+				var result = region.packRects(sizes, { heuristic: heuristic, allowRotation: true });
+				var placed = result.placements.filter(function(p) { return p; });
+				var packed = Region2D.fromRects(placed), area = 0;
+				for (var k = 0; k < placed.length; k++) {
+					assert.equal(region.containsRect(placed[k]), true);
+					area += placed[k].width * placed[k].height;
+				}
+				assert.equal(packed.getArea(), area);
+				assert.equal(packed.union(result.leftover).equals(region), true);
+				assert.equal(packed.doesIntersect(result.leftover), false);
+			});
+		});
+
+		it('rejects invalid sizes and options', function() {
+			var region = Region2D.fromRects([[0, 0, 10, 10]]);
+			assert.throws(function() { region.packRects(null); });
+			assert.throws(function() { region.packRects([ 5 ]); });
+			assert.throws(function() { region.packRects([ [0, 5] ]); });
+			assert.throws(function() { region.packRects([ [5, 5] ], { heuristic: 'worst-fit' }); });
+			assert.throws(function() { Region2D.infinite.packRects([ [5, 5] ]); });
+		});
+	});
+
+	//---------------------------------------------------------------------------------------------
+	// #approximate()
+
+	describe('#approximate()', function() {
+		it('returns the same region if it is already small enough', function() {
+			var region = Region2D.fromRects([
+				[0, 0, 2, 2],
+				[3, 0, 5, 2]
+			]);
+			var result = region.approximate({ maxRects: 2 });
+			assert.equal(result.region, region);
+			assert.equal(result.addedArea, 0);
+			assert.equal(Region2D.empty.approximate({ maxRects: 1 }).region, Region2D.empty);
+		});
+
+		it('fills in the gap between spans', function() {
+			var result = Region2D.fromRects([
+				[0, 0, 2, 2],
+				[3, 0, 5, 2]
+			]).approximate({ maxRects: 1 });
+			assert.deepEqual(result.region.getRects(), makeRects([0, 0, 5, 2]));
+			assert.equal(result.addedArea, 2);
+		});
+
+		it('chooses the merge that adds the least area', function() {
+			//   012345
+			// 0 AA BB
+			// 1 AA BB
+			// 2
+			// 3 CCCCC
+			// 4 CCCCC
+			var result = Region2D.fromRects([
+				[0, 0, 2, 2],
+				[3, 0, 5, 2],
+				[0, 3, 5, 5]
+			]).approximate({ maxRects: 2 });
+			assert.deepEqual(result.region.getRects(), makeRects([
+				0, 0, 5, 2,
+				0, 3, 5, 5
+			]));
+			assert.equal(result.addedArea, 2);
+		});
+
+		it('merges rows into their bounding box when nothing else is possible', function() {
+			var result = Region2D.fromRects([
+				[0, 0, 1, 1],
+				[5, 5, 6, 6]
+			]).approximate({ maxRects: 1 });
+			assert.deepEqual(result.region.getRects(), makeRects([0, 0, 6, 6]));
+			assert.equal(result.addedArea, 34);
+		});
+
+		it('stops before wasting too much area', function() {
+			var region = Region2D.fromRects([
+				[0, 0, 2, 2],
+				[3, 0, 5, 2],
+				[0, 3, 5, 5]
+			]);
+			var result = region.approximate({ maxRects: 1, maxWastedArea: 1 });
+			assert.equal(result.region, region);
+			assert.equal(result.addedArea, 0);
+
+			result = region.approximate({ maxRects: 1, maxWastedArea: 5 });
+			assert.deepEqual(result.region.getRects(), makeRects([
+				0, 0, 5, 2,
+				0, 3, 5, 5
+			]));
+			assert.equal(result.addedArea, 2);
+
+			result = region.approximate({ maxWastedArea: 7 });
+			assert.deepEqual(result.region.getRects(), makeRects([0, 0, 5, 5]));
+			assert.equal(result.addedArea, 7);
+		});
+
+		it('approximates infinite regions', function() {
+			var result = Region2D.fromRects([[0, 0, 10, 10]]).not().approximate({ maxRects: 1 });
+			assert.equal(result.region.equals(Region2D.infinite), true);
+			assert.equal(result.addedArea, 100);
+		});
+
+		it('always returns a small enough superset', function() {
+			var random = makeRandom(24680);
+
+			for (var pass = 0; pass < 20; pass++) {
+				var rects = [];
+				for (var i = 0; i < 12; i++) {
+					var x = random(30), y = random(30);
+					rects.push([ x, y, x + 1 + random(8), y + 1 + random(8) ]);
+				}
+				var region = Region2D.fromRects(rects);
+				var maxRects = 1 + random(6);
+
+				var result = region.approximate({ maxRects: maxRects });
+				assert.ok(result.region.getCount() <= maxRects);
+				assert.equal(region.subtract(result.region).isEmpty(), true);
+				assert.equal(result.region.getArea() - region.getArea(), result.addedArea);
+			}
+		});
+
+		it('rejects invalid limits', function() {
+			var region = Region2D.fromRects([[0, 0, 1, 1]]);
+			assert.throws(function() { region.approximate({ maxRects: 0 }); });
+			assert.throws(function() { region.approximate({ maxRects: 2.5 }); });
+			assert.throws(function() { region.approximate({ maxWastedArea: -1 }); });
+			assert.throws(function() { region.approximate({ maxWastedArea: NaN }); });
+		});
+	});
+
+	//---------------------------------------------------------------------------------------------
+	// #getMaximalRectangles() / #getLargestRectangle()
+
+	describe('#getMaximalRectangles() / #getLargestRectangle()', function() {
+		it('finds nothing in an empty region', function() {
+			assert.deepEqual(Region2D.empty.getMaximalRectangles(), []);
+			assert.equal(Region2D.empty.getLargestRectangle(), null);
+		});
+
+		it('finds a rectangle itself', function() {
+			var region = Region2D.fromRects([[1, 2, 5, 8]]);
+			assert.deepEqual(region.getMaximalRectangles(), makeRects([1, 2, 5, 8]));
+			assert.deepEqual(region.getLargestRectangle(), makeRects([1, 2, 5, 8])[0]);
+		});
+
+		it('finds the overlapping rectangles of a cross', function() {
+			//   0123456789
+			// 0    AAA
+			// 1    AAA
+			// 2 BBBBBBBBBB
+			// 3 BBBBBBBBBB
+			// 4    CCC
+			// 5    CCC
+			var region = Region2D.fromRects([
+				[3, 0, 6, 6],
+				[0, 2, 10, 4]
+			]);
+			assert.deepEqual(region.getMaximalRectangles(), makeRects([
+				3, 0, 6, 6,
+				0, 2, 10, 4
+			]));
+			assert.deepEqual(region.getLargestRectangle(), makeRects([0, 2, 10, 4])[0]);
+			assert.deepEqual(region.getLargestRectangle({ by: 'area' }), makeRects([0, 2, 10, 4])[0]);
+			assert.deepEqual(region.getLargestRectangle({ by: 'width' }), makeRects([0, 2, 10, 4])[0]);
+			assert.deepEqual(region.getLargestRectangle({ by: 'height' }), makeRects([3, 0, 6, 6])[0]);
+		});
+
+		it('finds the maximal rectangles of a staircase', function() {
+			//   0123
+			// 0 A
+			// 1 BB
+			// 2 CCC
+			var region = Region2D.fromRects([
+				[0, 0, 1, 3],
+				[0, 1, 2, 3],
+				[0, 2, 3, 3]
+			]);
+			assert.deepEqual(region.getMaximalRectangles(), makeRects([
+				0, 0, 1, 3,
+				0, 1, 2, 3,
+				0, 2, 3, 3
+			]));
+			assert.deepEqual(region.getLargestRectangle(), makeRects([0, 1, 2, 3])[0]);
+		});
+
+		it('does not join rectangles across a gap between bands', function() {
+			var region = Region2D.fromRects([
+				[0, 0, 4, 2],
+				[0, 3, 4, 5]
+			]);
+			assert.deepEqual(region.getMaximalRectangles(), makeRects([
+				0, 0, 4, 2,
+				0, 3, 4, 5
+			]));
+		});
+
+		it('finds maximal rectangles that reach infinity', function() {
+			var region = Region2D.fromRects([[0, 0, 10, 10]]).not();
+			assert.deepEqual(region.getMaximalRectangles(), makeRects([
+				nInf, nInf, pInf, 0,
+				nInf, nInf, 0, pInf,
+				10, nInf, pInf, pInf,
+				nInf, 10, pInf, pInf
+			]));
+		});
+
+		it('agrees with a brute-force search for maximal rectangles', function() {
+			var random = makeRandom(11223);
+
+			for (var pass = 0; pass < 5; pass++) {
+				var rects = [];
+				for (var i = 0; i < 8; i++) {
+					var x = random(10), y = random(10);
+					rects.push([ x, y, x + 1 + random(5), y + 1 + random(5) ]);
+				}
+				var region = Region2D.fromRects(rects);
+
+				// Try every rectangle on the integer grid, and keep those that fit but can't grow.
+				var expected = [];
+				for (var top = 0; top < 15; top++) {
+					for (var left = 0; left < 15; left++) {
+						for (var bottom = top + 1; bottom <= 15; bottom++) {
+							for (var right = left + 1; right <= 15; right++) {
+								if (!region.containsRect([ left, top, right, bottom ])) continue;
+								if (region.containsRect([ left - 1, top, right, bottom ])
+									|| region.containsRect([ left, top - 1, right, bottom ])
+									|| region.containsRect([ left, top, right + 1, bottom ])
+									|| region.containsRect([ left, top, right, bottom + 1 ])) continue;
+								expected.push(makeRects([ left, top, right, bottom ])[0]);
+							}
+						}
+					}
+				}
+				expected.sort(function(a, b) { return a.top - b.top || a.left - b.left || a.bottom - b.bottom; });
+
+				assert.deepEqual(region.getMaximalRectangles(), expected);
+			}
+		});
+
+		it('rejects unknown measures', function() {
+			assert.throws(function() { Region2D.infinite.getLargestRectangle({ by: 'perimeter' }); });
+		});
+	});
+
+	//---------------------------------------------------------------------------------------------
+	// #getRects({ mode: })
+
+	describe('#getRects({ mode: })', function() {
+		var assertPartition = function(region, rects) {
+			var area = 0;
+			for (var i = 0; i < rects.length; i++) {
+				area += rects[i].width * rects[i].height;
+			}
+			assert.equal(area, region.getArea());
+			assert.equal(Region2D.fromRects(rects).equals(region), true);
+		};
+
+		it('returns nothing for an empty region in every mode', function() {
+			assert.deepEqual(Region2D.empty.getRects({ mode: 'bands' }), []);
+			assert.deepEqual(Region2D.empty.getRects({ mode: 'merged-vertical' }), []);
+			assert.deepEqual(Region2D.empty.getRects({ mode: 'minimal' }), []);
+		});
+
+		it('returns the bands by default', function() {
+			var region = Region2D.fromRects([
+				[0, 0, 2, 4],
+				[4, 1, 6, 2]
+			]);
+			assert.deepEqual(region.getRects({ mode: 'bands' }), region.getRects());
+			assert.deepEqual(region.getRects({}), region.getRects());
+		});
+
+		it('merges identical spans across touching bands', function() {
+			//   0123456
+			// 0 AA
+			// 1 AA  BB
+			// 2 AA
+			// 3 AA
+			var region = Region2D.fromRects([
+				[0, 0, 2, 4],
+				[4, 1, 6, 2]
+			]);
+			assert.equal(region.getRects().length, 4);
+			assert.deepEqual(region.getRects({ mode: 'merged-vertical' }), makeRects([
+				0, 0, 2, 4,
+				4, 1, 6, 2
+			]));
+		});
+
+		it('does not merge spans across a gap between bands', function() {
+			var region = Region2D.fromRects([
+				[0, 0, 2, 1],
+				[0, 2, 2, 3]
+			]);
+			assert.deepEqual(region.getRects({ mode: 'merged-vertical' }), makeRects([
+				0, 0, 2, 1,
+				0, 2, 2, 3
+			]));
+		});
+
+		it('cuts off notches that banding and merging cannot', function() {
+			//   01234
+			// 0  AA
+			// 1  AA
+			// 2 BAA
+			// 3  AA
+			// 4  AA
+			// 5  AAC
+			// 6  AA
+			var region = Region2D.fromRects([
+				[1, 0, 3, 7],
+				[0, 2, 1, 3],
+				[3, 5, 4, 6]
+			]);
+			assert.equal(region.getRects().length, 5);
+			assert.equal(region.getRects({ mode: 'merged-vertical' }).length, 5);
+			assert.deepEqual(region.getRects({ mode: 'minimal' }), makeRects([
+				1, 0, 3, 7,
+				0, 2, 1, 3,
+				3, 5, 4, 6
+			]));
+		});
+
+		it('partitions a ring into four rectangles', function() {
+			var region = Region2D.fromRects([[0, 0, 3, 3]]).subtract(Region2D.fromRects([[1, 1, 2, 2]]));
+			var rects = region.getRects({ mode: 'minimal' });
+			assert.equal(rects.length, 4);
+			assertPartition(region, rects);
+		});
+
+		it('partitions infinite regions', function() {
+			var region = Region2D.fromRects([[0, 0, 10, 10]]).not();
+			var rects = region.getRects({ mode: 'minimal' });
+			assert.equal(rects.length, 4);
+			assert.equal(Region2D.fromRects(rects).equals(region), true);
+		});
+
+		it('agrees with a brute-force search for the fewest rectangles', function() {
+			var width = 4, height = 3;
+
+			// Find the fewest rectangles that exactly cover the given cells, by always covering
+			// the first uncovered cell with each rectangle that has it as its top-left corner.
+			var search = function(cells, best) {
+				var first = cells.indexOf(true);
+				if (first < 0) return 0;
+				if (best <= 1) return best;
+				var top = Math.floor(first / width), left = first % width;
+				for (var right = left + 1; right <= width && cells[top * width + right - 1]; right++) {
+					for (var bottom = top + 1; bottom <= height; bottom++) {
+						var x, fits = true;
+						for (x = left; x < right; x++) {
+							fits = fits && cells[(bottom - 1) * width + x];
+						}
+						if (!fits) break;
+						var rest = cells.slice();
+						for (var y = top; y < bottom; y++) {
+							for (x = left; x < right; x++) {
+								rest[y * width + x] = false;
+							}
+						}
+						best = Math.min(best, 1 + search(rest, best - 1));
+					}
+				}
+				return best;
+			};
+
+			for (var pattern = 0; pattern < 1 << (width * height); pattern++) {
+				var cells = [], rects = [];
+				for (var i = 0; i < width * height; i++) {
+					cells.push(!!(pattern & (1 << i)));
+					if (cells[i]) rects.push([ i % width, Math.floor(i / width), i % width + 1, Math.floor(i / width) + 1 ]);
+				}
+				var region = Region2D.fromRects(rects);
+
+				var minimal = region.getRects({ mode: 'minimal' });
+				assertPartition(region, minimal);
+				assert.equal(minimal.length, search(cells, width * height + 1), "pattern " + pattern);
+
+				var merged = region.getRects({ mode: 'merged-vertical' });
+				assertPartition(region, merged);
+				assert.ok(merged.length <= region.getCount());
+			}
+		});
+
+		it('rejects unknown modes', function() {
+			assert.throws(function() { Region2D.infinite.getRects({ mode: 'fastest' }); });
+		});
+	});
+
+	//---------------------------------------------------------------------------------------------
+	// #getCount()
+
+	describe('#getCount()', function() {
+		it('returns 0 for an empty set', function() {
+			assert.equal(Region2D.empty.getCount(), 0);
+			assert.equal(new Region2D().getCount(), 0);
+			assert.equal(Region2D.infinite.not().getCount(), 0);
+		});
+
+		it('returns 1 for any set with four "edges"', function() {
+			assert.equal(new Region2D([1, 2, 3, 4]).getCount(), 1);
+			assert.equal(Region2D.infinite.getCount(), 1);
+			assert.equal(Region2D.empty.not().getCount(), 1);
+			assert.equal(new Region2D([1, 2, 3, pInf]).getCount(), 1);
+			assert.equal(new Region2D([1, 2, pInf, 4]).getCount(), 1);
+			assert.equal(new Region2D([1, nInf, 3, 4]).getCount(), 1);
+			assert.equal(new Region2D([nInf, 2, 3, 4]).getCount(), 1);
+		});
+
+		it('returns the count of rectangles in complex regions', function() {
+			assert.equal(new Region2D([1, 2, 3, 4]).not().getCount(), 4);
+
 			var region = Region2D.fromRects([
 				[ 3, 4, 7, 8 ],
 				[ 1, 2, 5, 6 ],
@@ -1814,6 +3813,111 @@ describe('Region2D', function() {
 		});
 	});
 
+	//---------------------------------------------------------------------------------------------
+	// #getArea() / #getPerimeter() / #getCentroid() / #getSecondMoments()
+
+	describe('#getArea() / #getPerimeter() / #getCentroid() / #getSecondMoments()', function() {
+		var assertClose = function(actual, expected) {
+			assert.ok(Math.abs(actual - expected) < 1e-6, actual + " is not close to " + expected);
+		};
+
+		it('measures nothing in an empty set', function() {
+			assert.equal(Region2D.empty.getArea(), 0);
+			assert.equal(Region2D.empty.getPerimeter(), 0);
+			assert.equal(Region2D.empty.getCentroid(), null);
+			assert.deepEqual(Region2D.empty.getSecondMoments(), { xx: 0, yy: 0, xy: 0 });
+		});
+
+		it('measures a simple rectangle', function() {
+			var region = Region2D.fromRects([ [ 1, 2, 5, 8 ] ]);
+			assert.equal(region.getArea(), 24);
+			assert.equal(region.getPerimeter(), 20);
+			assert.deepEqual(region.getCentroid(), { x: 3, y: 5 });
+			assert.deepEqual(region.getSecondMoments(), { xx: 32, yy: 72, xy: 0 });
+		});
+
+		it('measures complex regions', function() {
+			//   01234
+			// 0 AA
+			// 1 AA
+			// 2 AABB
+			// 3 AABB
+			var region = Region2D.fromRects([
+				[ 0, 0, 2, 4 ],
+				[ 2, 2, 4, 4 ]
+			]);
+			assert.equal(region.getArea(), 12);
+			assert.equal(region.getPerimeter(), 16);
+			var centroid = region.getCentroid();
+			assertClose(centroid.x, 5/3);
+			assertClose(centroid.y, 7/3);
+			var moments = region.getSecondMoments();
+			assertClose(moments.xx, 44/3);
+			assertClose(moments.yy, 44/3);
+			assertClose(moments.xy, 16/3);
+		});
+
+		it('includes the boundaries of holes and of separate pieces', function() {
+			//   0123
+			// 0 AAA
+			// 1 A A
+			// 2 AAA
+			var donut = Region2D.fromRects([ [ 0, 0, 3, 3 ] ]).subtract(Region2D.fromRects([ [ 1, 1, 2, 2 ] ]));
+			assert.equal(donut.getArea(), 8);
+			assert.equal(donut.getPerimeter(), 16);
+			assert.deepEqual(donut.getCentroid(), { x: 1.5, y: 1.5 });
+
+			//   012
+			// 0 AA
+			// 1
+			// 2 BB
+			var pieces = Region2D.fromRects([ [ 0, 0, 2, 1 ], [ 0, 2, 2, 3 ] ]);
+			assert.equal(pieces.getArea(), 4);
+			assert.equal(pieces.getPerimeter(), 12);
+			assert.deepEqual(pieces.getCentroid(), { x: 1, y: 1.5 });
+		});
+
+		it('is unaffected by distance from the origin', function() {
+			var region = Region2D.fromRects([
+				[ 0, 0, 2, 4 ],
+				[ 2, 2, 4, 4 ]
+			]).translate(1e6, -1e6);
+			assert.equal(region.getArea(), 12);
+			assert.equal(region.getPerimeter(), 16);
+			var centroid = region.getCentroid();
+			assertClose(centroid.x, 1e6 + 5/3);
+			assertClose(centroid.y, -1e6 + 7/3);
+			var moments = region.getSecondMoments();
+			assertClose(moments.xx, 44/3);
+			assertClose(moments.yy, 44/3);
+			assertClose(moments.xy, 16/3);
+		});
+
+		it('measures infinite sets as infinite, except for edges at infinity', function() {
+			assert.equal(Region2D.infinite.getArea(), pInf);
+			assert.equal(Region2D.infinite.getPerimeter(), 0);
+			assert.equal(Region2D.infinite.getCentroid(), null);
+			assert.deepEqual(Region2D.infinite.getSecondMoments(), { xx: pInf, yy: pInf, xy: pInf });
+
+			var halfPlane = Region2D.fromRects([ [ nInf, nInf, pInf, 5 ] ]);
+			assert.equal(halfPlane.getArea(), pInf);
+			assert.equal(halfPlane.getPerimeter(), pInf);
+
+			var notSquare = Region2D.fromRects([ [ 1, 1, 3, 3 ] ]).not();
+			assert.equal(notSquare.getArea(), pInf);
+			assert.equal(notSquare.getPerimeter(), 8);
+			assert.equal(notSquare.getCentroid(), null);
+		});
+
+		it('returns copies of its cached results', function() {
+			var region = Region2D.fromRects([ [ 1, 2, 5, 8 ] ]);
+			region.getCentroid().x = 100;
+			region.getSecondMoments().xx = 100;
+			assert.deepEqual(region.getCentroid(), { x: 3, y: 5 });
+			assert.deepEqual(region.getSecondMoments(), { xx: 32, yy: 72, xy: 0 });
+		});
+	});
+
 	//---------------------------------------------------------------------------------------------
 	// #getHashCode()
 